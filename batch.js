@@ -0,0 +1,35 @@
+'use strict';
+
+// DataLoader-style batching. Keys requested within `window` ms of each other (or within the same
+// tick of the event loop, if `window` is 0) are loaded together with a single call to `loadMany`,
+// which must resolve to an array of values in the same order as the keys it was given.
+module.exports = function(loadMany, window) {
+  let queue = null;
+
+  function dispatch(batch) {
+    const keys = Array.from(batch.keys());
+    Promise.resolve()
+    .then(() => loadMany(keys))
+    .then((values) => {
+      keys.forEach((key, i) => batch.get(key).forEach(({resolve}) => resolve(values[i])));
+    }, (err) => {
+      batch.forEach((callbacks) => callbacks.forEach(({reject}) => reject(err)));
+    });
+  }
+
+  return function load(key) {
+    if (!queue) {
+      const batch = queue = new Map();
+      const flush = () => {
+        queue = null;
+        dispatch(batch);
+      };
+      if (window > 0) setTimeout(flush, window);
+      else setImmediate(flush);
+    }
+    return new Promise((resolve, reject) => {
+      if (!queue.has(key)) queue.set(key, []);
+      queue.get(key).push({resolve, reject});
+    });
+  };
+};
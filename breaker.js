@@ -0,0 +1,55 @@
+'use strict';
+
+// Circuit breaker for the calls to Redis. After `threshold` consecutive failures (errors or timeouts)
+// it opens, and calls fail fast for `cooldown` ms. Then a single call is let through as a probe:
+// if it succeeds the breaker closes again, otherwise it goes back to open for another cooldown.
+// `onChange(state)` is called on every transition.
+module.exports = function makeBreaker({threshold = 5, cooldown = 10000} = {}, onChange = () => {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  function transition(nextState) {
+    state = nextState;
+    if (state === 'open') openedAt = Date.now();
+    if (state !== 'half_open') probing = false;
+    onChange(state);
+  }
+
+  // True while calls should skip Redis altogether.
+  function bypassing() {
+    if (state === 'open' && Date.now() - openedAt >= cooldown) transition('half_open');
+    return state === 'open' || (state === 'half_open' && probing);
+  }
+
+  function success() {
+    failures = 0;
+    if (state !== 'closed') transition('closed');
+  }
+
+  function failure() {
+    failures++;
+    if (state === 'half_open' || (state === 'closed' && failures >= threshold)) transition('open');
+  }
+
+  // Run `fn` (a call to Redis) through the breaker. Rejects with a CircuitOpenError while open.
+  async function call(fn) {
+    if (bypassing()) {
+      const err = new Error('Circuit breaker is open.');
+      err.name = 'CircuitOpenError';
+      throw err;
+    }
+    if (state === 'half_open') probing = true;
+    try {
+      const result = await fn();
+      success();
+      return result;
+    } catch (e) {
+      failure();
+      throw e;
+    }
+  }
+
+  return {call, bypassing, get state() { return state; }};
+};
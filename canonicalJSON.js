@@ -0,0 +1,53 @@
+'use strict';
+
+// Deterministic JSON used to derive memoization keys from args. It matches `JSON.stringify` for
+// plain data, except that object keys are sorted, so `{a, b}` and `{b, a}` hash the same.
+// Maps, Sets and BigInts, which `JSON.stringify` collapses to `{}` or throws on, are written as tagged
+// objects, as are class instances, so they can't collide with a plain object of the same shape.
+// Functions and symbols are handled as `JSON.stringify` does: `null` in arrays, skipped in objects. So calls that
+// differ only in a callback share a key; use the `key` option to tell them apart.
+module.exports = function canonicalJSON(value) {
+  return stringify(value, new Set());
+};
+
+function stringify(value, seen) {
+  if (skipped(value)) return 'null'; // in arrays, as JSON would; object members are skipped below
+  if (value === null || typeof value === 'string' || typeof value === 'boolean' || typeof value === 'number') {
+    return JSON.stringify(value);
+  }
+  if (Object.prototype.toString.call(value) === '[object BigInt]') return tagged('$bigint', value.toString());
+  if (seen.has(value)) throw new TypeError("Can't derive a memoization key from a circular structure.");
+
+  seen.add(value);
+  try {
+    // Dates, Buffers and anything else that knows how to serialize itself
+    if (typeof value.toJSON === 'function') return stringify(value.toJSON(), seen);
+    if (Array.isArray(value)) return `[${value.map((item) => stringify(item, seen)).join(',')}]`;
+    if (value instanceof Map) {
+      const entries = Array.from(value, ([k, v]) => `[${stringify(k, seen)},${stringify(v, seen)}]`);
+      return tagged('$map', `[${entries.sort().join(',')}]`, true);
+    }
+    if (value instanceof Set) {
+      return tagged('$set', `[${Array.from(value, (item) => stringify(item, seen)).sort().join(',')}]`, true);
+    }
+
+    const members = Object.keys(value).sort()
+    .filter((key) => !skipped(value[key]))
+    .map((key) => `${JSON.stringify(key)}:${stringify(value[key], seen)}`);
+    const object = `{${members.join(',')}}`;
+    const proto = Object.getPrototypeOf(value);
+    if (proto === Object.prototype || proto === null) return object;
+    return `{"$class":${JSON.stringify(value.constructor ? value.constructor.name : '')},"value":${object}}`;
+  } finally {
+    seen.delete(value);
+  }
+}
+
+// Object members JSON leaves out.
+function skipped(value) {
+  return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+function tagged(tag, payload, raw) {
+  return `{${JSON.stringify(tag)}:${raw ? payload : JSON.stringify(payload)}}`;
+}
@@ -0,0 +1,122 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const {globToRegExp} = require('./memoryStore');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const readdir = util.promisify(fs.readdir);
+const rename = util.promisify(fs.rename);
+const link = util.promisify(fs.link);
+const unlink = util.promisify(fs.unlink);
+const mkdir = util.promisify(fs.mkdir);
+
+// A store (see redisCompat.js) that keeps each key in a file under `dir`, for local development
+// without a Redis server. Files are named by the hash of their key, and start with a JSON line
+// holding the key and its expiry, followed by the value.
+// Writes are atomic, and so is `setIfAbsent`, so locks work across processes sharing `dir`.
+// Releasing locks and updating tags aren't, so don't point a production fleet at it.
+module.exports = function createFileStore({dir = path.join(os.tmpdir(), 'redis-memoizer')} = {}) {
+  let ready = null;
+  function ensureDir() {
+    if (!ready) ready = mkdir(dir, {recursive: true}).catch((err) => { if (err.code !== 'EEXIST') throw err; });
+    return ready;
+  }
+
+  const fileFor = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex'));
+
+  // Resolves to `{key, expires, value}`, or null if the file is missing or expired.
+  async function readEntry(file) {
+    let contents;
+    try {
+      contents = await readFile(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const headerEnd = contents.indexOf('\n');
+    const entry = JSON.parse(contents.slice(0, headerEnd).toString());
+    if (entry.expires <= Date.now()) {
+      await remove(file);
+      return null;
+    }
+    entry.value = contents.slice(headerEnd + 1);
+    return entry;
+  }
+
+  async function remove(file) {
+    try {
+      await unlink(file);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  // Writes to a temporary file first, so readers never see a partial entry.
+  async function writeTemp(key, value, ttl) {
+    await ensureDir();
+    const header = JSON.stringify({key, expires: Date.now() + Number(ttl)});
+    const tmp = `${fileFor(key)}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await writeFile(tmp, Buffer.concat([Buffer.from(`${header}\n`), Buffer.from(value)]));
+    return tmp;
+  }
+
+  async function get(key) {
+    const entry = await readEntry(fileFor(key));
+    return entry ? entry.value : null;
+  }
+
+  async function setWithTtl(key, value, ttl) {
+    await rename(await writeTemp(key, value, ttl), fileFor(key));
+  }
+
+  async function setIfAbsent(key, value, ttl) {
+    const file = fileFor(key);
+    // Clears the file out if it's expired.
+    if (await readEntry(file)) return false;
+    const tmp = await writeTemp(key, value, ttl);
+    try {
+      // Unlike `rename`, `link` fails if the file already exists.
+      await link(tmp, file);
+      return true;
+    } catch (err) {
+      if (err.code === 'EEXIST') return false;
+      throw err;
+    } finally {
+      await remove(tmp);
+    }
+  }
+
+  async function ttl(key) {
+    const entry = await readEntry(fileFor(key));
+    return entry ? entry.expires - Date.now() : null;
+  }
+
+  async function del(keys) {
+    let count = 0;
+    for (const key of keys) {
+      const file = fileFor(key);
+      if (await readEntry(file) && await remove(file)) count++;
+    }
+    return count;
+  }
+
+  async function scan(pattern, onKeys) {
+    await ensureDir();
+    const matcher = globToRegExp(pattern);
+    const files = (await readdir(dir)).filter((file) => !file.endsWith('.tmp'));
+    const keys = [];
+    for (const file of files) {
+      const entry = await readEntry(path.join(dir, file));
+      if (entry && matcher.test(entry.key)) keys.push(entry.key);
+    }
+    if (keys.length) await onKeys(keys);
+  }
+
+  return {isReady: () => true, get, setWithTtl, setIfAbsent, delete: del, scan, ttl};
+};
@@ -3,8 +3,17 @@ const crypto = require('crypto');
 const zlib = require('zlib');
 const util = require('util');
 const makeLockFn = require('./lock');
+const makeLRU = require('./lru');
+const makeBatchFn = require('./batch');
+const rich = require('./richSerializer');
+const msgpack = require('./msgpack');
+const canonicalJSON = require('./canonicalJSON');
+const createMetrics = require('./metrics');
+const makeBreaker = require('./breaker');
+const createMemoryStore = require('./memoryStore');
+const createFileStore = require('./fileStore');
 const Promise = require('bluebird');
-const {clientTyp, exec, isReady} = require('./redisCompat');
+const {clientTyp, createAdapter} = require('./redisCompat');
 
 const GZIP_MAGIC = new Buffer('$gzip__');
 const MAGIC = {
@@ -14,17 +23,34 @@ const MAGIC = {
   null: '_$$_null',
   not_found: '_$$_empty',
   error: '_$$_error',
+  meta: '_$$_meta',
+  msgpack: '_$$_msgpack',
+  chunked: '_$$_chunked',
 };
 
+// Resolved by `memoized.peek()` when nothing is memoized for the args. A symbol, so no result can pass for it.
+const NOT_FOUND = Symbol('redis-memoizer.NOT_FOUND');
+
 // Used as filter function in JSON.parse so it properly restores dates
 const reISO = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d*))(?:Z|(\+|-)([\d|:]*))?$/;
 
+// Compression codecs by name; see `registerCodec`.
+// Each codec marks what it compressed with its own magic prefix, so entries written with any
+// registered codec stay readable, e.g. while migrating from one codec to another.
+const codecs = {};
+
 const defaultOptions = {
   // Properties prefixed with `default_` can be overridden when creating each memoized function.
   // How long to persist memoized results to Redis. This can be overridden per-fn.
   default_ttl: 120000,
   // How long to wait for the lock (including retries)
   default_lock_timeout: 5000,
+  // Shorten each entry's TTL by a random fraction of up to this much, e.g. 0.1 for up to 10%, so entries
+  // written together don't all expire (and get recomputed) together. With `stale_ttl`, they go stale apart, too.
+  ttl_jitter: 0,
+  // How long to persist "not found" results (see `is_negative`), if not as long as `ttl`.
+  // This can be overridden per-fn.
+  default_negative_ttl: null,
 
   // How long to wait on Redis before just moving on.
   // If the TTL fed to `memoize` is shorter than this, it will be used instead.
@@ -36,12 +62,52 @@ const defaultOptions = {
   memoize_key_namespace: null,
   // How often to spin on the lock
   lock_retry_delay: 50,
+  // With a `subscriber`, waiters are woken as soon as the lock holder is done, and only spin
+  // on the lock this often in case they miss the message.
+  lock_fallback_retry_delay: 500,
   // Error logger, arity is (err, client, key)
   on_error: null, // *must* be implemented
   // Used for reviving JSON values
   deserialize_value: defaultDeserializeValue,
   serialize_value: defaultSerializeValue,
+  // Pass `deserialize_value` the stored Buffer rather than a string, for binary `serialize_value` formats.
+  deserialize_buffers: false,
   error_serialization_keys: ['name', 'stack'],
+  // Codec used to compress large values: 'gzip', 'deflate-raw', 'brotli' (Node >= 10.16), anything added
+  // with `registerCodec`, or null to turn compression off. Values compressed with any registered codec
+  // can be read back regardless of this setting.
+  compression: 'gzip',
+  // Values shorter than this aren't worth compressing.
+  compression_threshold: 500,
+  // Largest value to write, in bytes, checked before and after compression. null for no limit.
+  max_value_bytes: null,
+  // What to do with values over `max_value_bytes`: 'skip' doesn't cache them (and reports them to `on_error`),
+  // 'chunk' splits them over several keys of up to `max_value_bytes` each.
+  oversize_policy: 'skip',
+  // Hash used to turn args into keys. Any algorithm `crypto.createHash` accepts.
+  hash_algorithm: 'sha1',
+  // Store the args each result was computed from alongside it (in the entry's metadata), so you can
+  // tell what a key belongs to. Costs space; meant for debugging.
+  debug_keys: false,
+  // Set to e.g. `{max: 1000, ttl: 5000}` to keep up to `max` results in memory for up to `ttl` ms,
+  // in front of Redis. A result is never kept in memory longer than its own TTL.
+  l1: null,
+  // Set to a number of ms to gather lookups issued within that window, across all memoized functions,
+  // into a single MGET. 0 gathers the lookups issued in the same tick of the event loop.
+  lookup_batch_window: null,
+  // A dedicated client in subscriber mode, e.g. `client.duplicate()`. With it, invalidations
+  // from other processes also drop results from this process's L1, and callers waiting on
+  // the lock are notified when it's released rather than having to spin on it.
+  subscriber: null,
+  // Called with structured events, e.g. `{type: 'hit', name, key, source: 'redis'}`, for metrics.
+  // See "Metrics" in the README; `createMetrics()` returns a ready-made counter aggregator.
+  on_event: null,
+  // Set to e.g. `{threshold: 5, cooldown: 10000}` to stop using Redis for `cooldown` ms after `threshold`
+  // consecutive failures or timeouts, calling functions directly instead. See "Circuit Breaker" below.
+  circuit_breaker: null,
+  // Wrap function names in a hash tag, e.g. `memos:{getUser}:...`, so each function's keys land in a
+  // single slot of a Redis Cluster. null turns this on for ioredis Cluster clients only.
+  hash_tags: null,
 };
 
 function createMemoizeFunction(client, options = {}) {
@@ -50,12 +116,17 @@ function createMemoizeFunction(client, options = {}) {
 
   // Allow custom namespaces, e.g. by git revision.
   options.keyNamespace = `memos${options.memoize_key_namespace ? ':' + options.memoize_key_namespace : ''}`;
-  const lock = makeLockFn(client, options.lock_retry_delay);
+  options.invalidationChannel = `${options.keyNamespace}:invalidations`;
+  // Lookups currently in progress in this process, by key.
+  options.inFlight = new Map();
+  // Talk to Redis (or another store) through adapters, see redisCompat.js; `client.client` is what we were given.
+  const adapter = createAdapter(client);
+  const subscriber = createAdapter(options.subscriber);
 
   // Validation
   try {
     if (!typ) {
-      throw new Error('Pass a Redis client as the first argument.');
+      throw new Error('Pass a Redis client (or a store) as the first argument.');
     } else if (typ === 'node_redis') {
       if (!client.getAsync) {
         throw new Error('Node_Redis clients must be promisified. Please use Bluebird to do this.');
@@ -64,7 +135,28 @@ function createMemoizeFunction(client, options = {}) {
         throw new Error('A Node_Redis client passed to the memoizer must have the option `return_buffers` set to true.');
       }
     }
+    if (options.subscriber && !subscriber) {
+      throw new Error('Pass a Redis client (or a store) as the `subscriber`.');
+    }
+    if (adapter.isCluster && options.hash_tags === false) {
+      throw new Error('Cluster clients need `hash_tags`, so that multi-key commands stay within a slot.');
+    }
 
+    if (!crypto.getHashes().includes(options.hash_algorithm)) {
+      throw new Error(`Unknown hash_algorithm "${options.hash_algorithm}".`);
+    }
+    if (!(options.ttl_jitter >= 0 && options.ttl_jitter < 1)) {
+      throw new Error('`ttl_jitter` must be a fraction of the TTL, at least 0 and below 1.');
+    }
+    if (options.l1 && !(options.l1.max > 0 && options.l1.ttl > 0)) {
+      throw new Error('`l1` needs both a `max` number of results and a `ttl` in ms, e.g. `{max: 1000, ttl: 5000}`.');
+    }
+    if (!['skip', 'chunk'].includes(options.oversize_policy)) {
+      throw new Error(`Unknown oversize_policy "${options.oversize_policy}". Use 'skip' or 'chunk'.`);
+    }
+    if (options.compression && !codecs[options.compression]) {
+      throw new Error(`Unknown compression codec "${options.compression}". Register it with \`registerCodec\` first.`);
+    }
     if (options.error_logging) {
       throw new Error('The "error_logging" var has been replaced with a more standard ' +
         '"on_error(err, client, key) callback." in 4.0');
@@ -77,7 +169,84 @@ function createMemoizeFunction(client, options = {}) {
     throw e;
   }
 
-  return memoizeFn.bind(null, client, options, lock);
+  client = adapter;
+  options.hashTags = options.hash_tags == null ? client.isCluster : options.hash_tags;
+  if (options.circuit_breaker) {
+    options.breaker = makeBreaker(options.circuit_breaker, (state) => {
+      emit(client, options, 'circuit_breaker', null, null, {state});
+    });
+  }
+  const lock = makeLockFn(client, options.lock_retry_delay, {
+    subscriber,
+    fallbackRetryDelay: options.lock_fallback_retry_delay,
+    breaker: options.breaker,
+  });
+
+  if (options.lookup_batch_window != null) {
+    options.batchGet = makeBatchFn((keys) => compressedMGet(client, keys), options.lookup_batch_window);
+  }
+
+  if (options.l1) {
+    options.localCache = makeLRU(options.l1.max);
+    if (subscriber) {
+      subscriber.subscribe(options.invalidationChannel, (message) => {
+        message.split('\n').forEach((pattern) => options.localCache.del(pattern));
+      })
+      .catch((err) => {
+        err.message = `Redis-Memoizer: Error subscribing to invalidations: ${err.message}`;
+        options.on_error(err, client.client, options.invalidationChannel);
+      });
+    }
+  }
+
+  const memoize = memoizeFn.bind(null, client, options, lock);
+  memoize.many = memoizeMany.bind(null, client, options);
+  // Drop every memoized result written under any of these tags.
+  memoize.invalidateTags = function invalidateTags(tagList) {
+    return invalidateTaggedKeys(client, options, tagList);
+  };
+  // Warm several memoized functions, one after another: takes `[{fn: memoizedFn, args: argsList}]`.
+  // Resolves to a single report, with each entry's function `name`.
+  memoize.warm = async function warm(jobs, {concurrency} = {}) {
+    const statuses = ['succeeded', 'skipped', 'not_stored', 'failed'];
+    const report = {succeeded: [], skipped: [], not_stored: [], failed: []};
+    for (const {fn, args} of jobs) {
+      // e.g. a `memoize.many` fn, or a job without its list of args; don't let one bad job sink the whole report.
+      const error = warmJobError(fn, args);
+      if (error) {
+        (Array.isArray(args) ? args : [args]).forEach((jobArgs) => report.failed.push({name: null, args: jobArgs, error}));
+        continue;
+      }
+      const fnReport = await fn.warm(args, {concurrency});
+      statuses.forEach((status) => {
+        fnReport[status].forEach((entry) => report[status].push({name: fnReport.name, ...entry}));
+      });
+    }
+    return report;
+  };
+  // Drop every memoized result under this namespace.
+  memoize.clear = function clear() {
+    return invalidateKeys(client, options, `${options.keyNamespace}:*`);
+  };
+  // 'closed' (using Redis), 'open' (bypassing it) or 'half_open' (probing it), or null without a breaker.
+  memoize.circuitState = function circuitState() {
+    return options.breaker ? options.breaker.state : null;
+  };
+  return memoize;
+}
+
+// Why `memoize.warm` can't run a job, or null if it can.
+function warmJobError(fn, args) {
+  if (!fn || typeof fn.warm !== 'function') return new TypeError('Only functions returned by `memoize` can be warmed.');
+  if (!Array.isArray(args)) return new TypeError('`args` must be a list of args tuples, e.g. `[[1], [2]]`.');
+  return null;
+}
+
+// With `hash_tags`, all of a function's keys (and locks) share a slot in a cluster, so they can be
+// read with one MGET or written with one pipeline.
+function getKeyPrefix(options, functionKey) {
+  if (options.hashTags) return `${options.keyNamespace}:{${functionKey}}`;
+  return `${options.keyNamespace}:${functionKey}`;
 }
 
 function getFunctionKey(fn, name = fn._name) {
@@ -85,86 +254,557 @@ function getFunctionKey(fn, name = fn._name) {
   return name;
 }
 
-function hash(args) {
-  return crypto.createHash('sha1').update(JSON.stringify(args)).digest('hex');
+function hash(args, algorithm = 'sha1') {
+  return crypto.createHash(algorithm).update(canonicalJSON(args)).digest('hex');
 }
 
 function memoizeFn(client, options, lock, fn,
-                   {ttl = options.default_ttl, lock_timeout = options.default_lock_timeout, name} = {}) {
+                   {ttl = options.default_ttl, lock_timeout = options.default_lock_timeout, name,
+                    stale_ttl = 0, lock_heartbeat = false, tags: tagsOption, version, validate,
+                    key: keyFn, cache_when, bypass, negative_ttl = options.default_negative_ttl,
+                    is_negative = isNullish, early_recompute = false} = {}) {
   let functionKey = module.exports.getFunctionKey(fn, name);
-  const ttlfn = typeof ttl === 'function' ? ttl : () => ttl;
+  const ttlfn = makeTtlFn(ttl, negative_ttl, is_negative);
+  // XFetch's beta: above 1 favors recomputing earlier, below 1 later.
+  const beta = early_recompute && early_recompute.beta != null ? early_recompute.beta : 1;
+  const hitFields = (source, value) => isNegative(is_negative, value) ? {source, negative: true} : {source};
+  // Bumping the version moves the function onto fresh keys, leaving the old ones to expire.
+  if (version != null) functionKey = `${functionKey}@${version}`;
+  const keyPrefix = getKeyPrefix(options, functionKey);
+  // With a `key` fn, only what it returns identifies the call.
+  const keyInput = (args) => keyFn ? keyFn(...args) : args;
+  // Hash the args so we can look for this key in redis.
+  const getKey = (args) => `${keyPrefix}:${module.exports.hash(keyInput(args), options.hash_algorithm)}`;
+  // Keys with a background refresh in flight from this process.
+  const refreshing = new Set();
+  // Writes in flight from this process, by key, so `warm` can wait for them.
+  const writing = new Map();
+
+  async function memoizedFunction(...args) {
+    // Skip the cache entirely, e.g. for calls that need a fresh result.
+    if (bypass && await bypass(args)) {
+      emit(client, options, 'bypass', functionKey, null, {reason: 'bypass'});
+      return fn.apply(this, args);
+    }
+    const key = getKey(args);
+
+    // Check this process's own cache first.
+    const localEntry = options.localCache && options.localCache.get(key);
+    if (localEntry) {
+      emit(client, options, 'hit', functionKey, key, hitFields('l1', localEntry.value));
+      return entryValue(localEntry);
+    }
+
+    // Concurrent calls with the same args in this process share a single lookup, so only one
+    // of them goes on to wait on the lock in Redis.
+    let pending = options.inFlight.get(key);
+    if (pending) {
+      // Not a hit: the call it joins may well be a miss.
+      emit(client, options, 'coalesced', functionKey, key);
+    } else {
+      pending = Promise.resolve(lookupOrRun(this, args, key)).finally(() => options.inFlight.delete(key));
+      options.inFlight.set(key, pending);
+    }
+    return pending;
+  }
 
-  return async function memoizedFunction(...args) {
-    // Hash the args so we can look for this key in redis.
-    const argsHash = module.exports.hash(args);
+  async function lookupOrRun(self, args, key) {
+    // Redis is down; don't make the caller wait on it.
+    if (options.breaker && options.breaker.bypassing()) {
+      emit(client, options, 'bypass', functionKey, key, {reason: 'circuit_breaker'});
+      return fn.apply(self, args);
+    }
 
     // Set a timeout on the retrieval from redis.
     const timeoutMs = Math.min(ttlfn(), options.lookup_timeout);
-    const key = `${options.keyNamespace}:${functionKey}:${argsHash}`;
 
     // Attempt to get the result from redis.
-    const memoValue = await doLookup(client, key, timeoutMs, options);
+    const entry = await lookup(key, timeoutMs);
     // We return an internal marker if this thing was actually not found, versus just null
-    if (memoValue !== MAGIC.not_found) return memoValue;
+    if (entry !== MAGIC.not_found) {
+      // Past its soft TTL; serve it anyway, but recompute it for the next caller.
+      if (entry.meta && entry.meta.soft_expires <= Date.now()) {
+        emit(client, options, 'stale', functionKey, key);
+        refresh(self, args, key);
+      } else {
+        emit(client, options, 'hit', functionKey, key, hitFields('redis', entry.value));
+        remember(key, entry, ttlfn(entry.value));
+        if (recomputeEarly(entry.meta)) {
+          emit(client, options, 'early_recompute', functionKey, key);
+          refresh(self, args, key);
+        }
+      }
+      return entryValue(entry);
+    }
+    emit(client, options, 'miss', functionKey, key);
 
     // Ok, we're going to have to actually execute the function.
     // Lock ensures only one fn executes at a time and prevents a stampede.
-    const unlock = await lock(key, lock_timeout);
-    let didOriginalFn = false;
+    const lockStart = Date.now();
+    const unlock = await lock(key, lock_timeout, {heartbeat: lock_heartbeat});
+    emit(client, options, 'lock_wait_ms', functionKey, key, {value: Date.now() - lockStart});
+    if (unlock.acquired) emit(client, options, 'lock_acquired', functionKey, key);
+    let written = null;
     try {
       // After we've acquired the lock, check if the key was populated in the meantime.
-      const memoValueRetry = await doLookup(client, key, timeoutMs, options);
-      if (memoValueRetry !== MAGIC.not_found) return memoValueRetry;
-
-      // Run the fn, save the result
-      didOriginalFn = true;
-      const result = await fn.apply(this, args);
-      // Write the key, but don't await on it
-      writeKeyToRedis(client, key, result, ttlfn(result), options)
+      const entryRetry = await lookup(key, timeoutMs);
+      if (entryRetry !== MAGIC.not_found) {
+        emit(client, options, 'hit', functionKey, key, hitFields('lock', entryRetry.value));
+        remember(key, entryRetry, ttlfn(entryRetry.value));
+        return entryValue(entryRetry);
+      }
+      // Waited out the lock without the result showing up; compute it ourselves.
+      if (!unlock.acquired) emit(client, options, 'lock_timeout', functionKey, key);
+
+      const ran = await run(self, args, key);
+      written = ran.written;
+      return ran.result;
+    } finally {
+      // Hold the lock until the result is in redis, so whoever is waiting on it finds it there.
+      Promise.resolve(written).then((stored) => unlock({written: Boolean(stored)}))
       .catch((err) => {
-        err.message = `Redis-Memoizer: Error writing key "${key}": ${err.message}`;
-        options.on_error(err, client, key);
+        err.message = `Redis-Memoizer: Error releasing lock for key "${key}": ${err.message}`;
+        options.on_error(err, client.client, key);
       });
+    }
+  }
 
-      return result;
+  // Entries that fail `validate` (e.g. written before the fn's return shape changed) count as misses.
+  // Memoized errors aren't validated.
+  async function lookup(key, timeoutMs) {
+    const entry = await doLookup(client, key, timeoutMs, options, functionKey);
+    if (!validate || entry === MAGIC.not_found || entry.value instanceof Error) return entry;
+    return (await validate(entry.value)) ? entry : MAGIC.not_found;
+  }
+
+  // Run the fn, save the result. Resolves to the result, and a promise for the (background) write,
+  // which resolves to whether it stored the result.
+  async function run(self, args, key) {
+    let result;
+    const start = Date.now();
+    try {
+      result = await fn.apply(self, args);
     } catch (e) {
+      emit(client, options, 'compute_ms', functionKey, key, {value: Date.now() - start, error: true});
       // original function errored, should we memoize that?
-      if (didOriginalFn && options.memoize_errors_when(e)) {
-        await writeKeyToRedis(client, key, e, ttlfn(e), options);
-      }
+      if (options.memoize_errors_when(e)) await write(key, e, args);
       throw e;
+    }
+    const computeMs = Date.now() - start;
+    emit(client, options, 'compute_ms', functionKey, key, {value: computeMs});
+    // Some results aren't worth keeping, e.g. empty or partial responses.
+    if (cache_when && !await cache_when(result, args)) return {result, written: null};
+    // Write the key, but don't await on it
+    const written = write(key, result, args, {computeMs})
+    .catch((err) => {
+      if (err.name !== 'ValueTooLargeError') emit(client, options, 'write_error', functionKey, key, {error: err});
+      err.message = `Redis-Memoizer: Error writing key "${key}": ${err.message}`;
+      options.on_error(err, client.client, key);
+      return false;
+    });
+    writing.set(key, written);
+    written.then(() => { if (writing.get(key) === written) writing.delete(key); });
+    return {result, written};
+  }
+
+  // Resolves to whether the result was stored: not with a ttl of 0, or while the circuit breaker is open.
+  async function write(key, value, args, {ttl = ttlfn(value), computeMs} = {}) {
+    // Jitter once, so the soft expiry, the L1 and Redis all agree on when the entry expires.
+    ttl = jitterTtl(ttl, options);
+    let meta = options.debug_keys ? {args: canonicalJSON(keyInput(args))} : null;
+    // Early recompute weighs how close the entry is to expiring against how long it takes to recompute.
+    if (early_recompute && computeMs != null) meta = {...meta, compute_ms: computeMs};
+    let redisTtl = ttl;
+    if (stale_ttl && ttl !== 0) {
+      // Keep the entry around past its TTL so it can be served while it's being refreshed.
+      meta = {...meta, soft_expires: Date.now() + ttl};
+      redisTtl = ttl + stale_ttl;
+    }
+    remember(key, {value, meta}, ttl);
+    let written;
+    try {
+      written = await writeKeyToRedis(client, key, value, redisTtl, options, meta);
+    } catch (err) {
+      if (err.name === 'ValueTooLargeError') emit(client, options, 'oversize', functionKey, key, err.sizes);
+      throw err;
+    }
+    if (!written) return false; // nothing written
+    const {sizes, keys} = written;
+    const fields = isNegative(is_negative, value) ? {...sizes, negative: true} : sizes;
+    emit(client, options, 'write', functionKey, key, fields);
+
+    const keyTags = typeof tagsOption === 'function' ? tagsOption(args, value) : tagsOption;
+    if (keyTags && keyTags.length && ttl !== 0) {
+      // A chunked result's chunks are tagged too, so invalidating the tag removes them along with it.
+      // One at a time: stores without scripts update a tag by reading and rewriting it.
+      const tagKeys = keyTags.map((tag) => getTagKey(options, tag));
+      for (const writtenKey of keys) await client.addToTags(tagKeys, writtenKey, redisTtl);
+    }
+    return true;
+  }
+
+  // XFetch (Vattani et al., "Optimal Probabilistic Cache Stampede Prevention"): each hit recomputes the entry
+  // early with a probability that rises as its expiry nears, and the longer the fn took to compute it.
+  function recomputeEarly(meta) {
+    if (!early_recompute || !meta || meta.compute_ms == null) return false;
+    const expires = meta.soft_expires || meta.expires;
+    return Date.now() - meta.compute_ms * beta * Math.log(Math.random()) >= expires;
+  }
+
+  // Fill the L1, keeping the entry no longer than its TTL (or until it goes stale). One read from Redis
+  // only has what's left of its TTL there.
+  function remember(key, entry, ttl) {
+    if (!options.localCache) return;
+    ttl = Math.min(ttl, options.l1.ttl);
+    if (entry.meta && entry.meta.expires) ttl = Math.min(ttl, entry.meta.expires - Date.now());
+    if (entry.meta && entry.meta.soft_expires) ttl = Math.min(ttl, entry.meta.soft_expires - Date.now());
+    if (ttl > 0) options.localCache.set(key, entry, ttl);
+  }
+
+  // Recompute a stale entry in the background. Only one process refreshes at a time;
+  // if the lock is held elsewhere, somebody is already on it.
+  function refresh(self, args, key) {
+    if (refreshing.has(key)) return;
+    refreshing.add(key);
+    Promise.resolve(lock.try(key, lock_timeout, {heartbeat: lock_heartbeat}))
+    .then(async (unlock) => {
+      if (!unlock) return;
+      let stored = false;
+      try {
+        const {written} = await run(self, args, key);
+        stored = Boolean(await written);
+      } finally {
+        await unlock({written: stored});
+      }
+    })
+    .catch((err) => {
+      err.message = `Redis-Memoizer: Error refreshing key "${key}": ${err.message}`;
+      options.on_error(err, client.client, key);
+    })
+    .finally(() => refreshing.delete(key));
+  }
+
+  // The memoized result for these args, or `NOT_FOUND`, without calling the fn or waiting on the lock.
+  // Rejects with the memoized error, if that's what's there.
+  memoizedFunction.peek = async function peek(...args) {
+    const key = getKey(args);
+    const localEntry = options.localCache && options.localCache.get(key);
+    if (localEntry) return entryValue(localEntry);
+    const entry = await lookup(key, Math.min(ttlfn(), options.lookup_timeout));
+    return entry === MAGIC.not_found ? NOT_FOUND : entryValue(entry);
+  };
+
+  // Store `value` as the result for `args`, e.g. from a write path that already knows it.
+  // Replaces whatever is there, in Redis and in every process's L1. Resolves to whether it was stored.
+  memoizedFunction.set = async function set(args, value, {ttl: setTtl = ttlfn(value)} = {}) {
+    const key = getKey(args);
+    try {
+      return await write(key, value, args, {ttl: setTtl});
     } finally {
-      unlock();
+      // Only once the new value is in Redis, or other processes could read the old one back into their L1.
+      await dropLocally(client, options, [key]);
     }
   };
+
+  // Resolves to how many ms the result for these args has left in Redis (including any `stale_ttl`),
+  // or null if there isn't one. Like `peek`, that's null while Redis is unavailable, too.
+  memoizedFunction.ttl = async function ttl(...args) {
+    if (!client.isReady()) return null;
+    try {
+      return await guard(options, () => client.ttl(getKey(args)));
+    } catch (err) {
+      if (err.name === 'CircuitOpenError') return null;
+      throw err;
+    }
+  };
+
+  // Compute and store the results for a list of args tuples, e.g. `[[1], [2]]`, at most `concurrency` at a time,
+  // through the same lock as calls. Resolves once they're written, to a report of the function's `name`, and
+  // the args that `succeeded`, were `skipped` (already memoized), were computed but `not_stored` (see `warm`
+  // in the README) or `failed` (with the `error`).
+  memoizedFunction.warm = async function warm(argsList, {concurrency = 10} = {}) {
+    const report = {name: functionKey, succeeded: [], skipped: [], not_stored: [], failed: []};
+    await Promise.map(argsList, async (args) => {
+      const key = getKey(args);
+      const timeoutMs = Math.min(ttlfn(), options.lookup_timeout);
+      try {
+        if (await lookup(key, timeoutMs) !== MAGIC.not_found) return report.skipped.push({args});
+        await memoizedFunction(...args);
+        // Without a write of our own to wait on, somebody else may have stored the result while we waited
+        // on the lock, or nobody did (e.g. `cache_when`, or the circuit breaker); go look.
+        const written = writing.get(key);
+        const stored = written ? await written : await lookup(key, timeoutMs) !== MAGIC.not_found;
+        report[stored ? 'succeeded' : 'not_stored'].push({args});
+      } catch (error) {
+        report.failed.push({args, error});
+      }
+    }, {concurrency});
+    return report;
+  };
+
+  // Drop the memoized result for this exact set of args.
+  memoizedFunction.invalidate = function invalidate(...args) {
+    return invalidateKeys(client, options, getKey(args));
+  };
+
+  // Drop all memoized results for this function.
+  memoizedFunction.invalidateAll = function invalidateAll() {
+    return invalidateKeys(client, options, `${keyPrefix}:*`);
+  };
+
+  return memoizedFunction;
 }
 
-async function doLookup(client, key, timeout, options) {
-  let memoValue;
+// `ttl` may be a number or a fn of the result. Called with a result that `is_negative` ("not found", by default
+// null or undefined), `negative_ttl` takes over, if set. Called without one (to cap timeouts), it's just `ttl`.
+function makeTtlFn(ttl, negativeTtl, is_negative) {
+  const ttlfn = typeof ttl === 'function' ? ttl : () => ttl;
+  return function(...args) {
+    if (args.length && negativeTtl != null && isNegative(is_negative, args[0])) return negativeTtl;
+    return ttlfn(...args);
+  };
+}
+
+function isNegative(is_negative, value) {
+  return !(value instanceof Error) && Boolean(is_negative(value));
+}
+
+function isNullish(value) {
+  return value == null;
+}
+
+// Memoizes a loader that takes a list of ids, e.g. `getUsers([1, 2, 3])`, storing each id's result under its
+// own key. Only the ids missing from redis are passed on to `fn`. `fn` may resolve to an array matching the
+// ids it was given, or a Map or object keyed by id; the memoized function always resolves to an array
+// matching the ids it was called with.
+function memoizeMany(client, options, fn, {ttl = options.default_ttl, name, keyFor = (id) => id,
+                                           negative_ttl = options.default_negative_ttl, is_negative = isNullish} = {}) {
+  const functionKey = module.exports.getFunctionKey(fn, name);
+  const ttlfn = makeTtlFn(ttl, negative_ttl, is_negative);
+  const keyPrefix = getKeyPrefix(options, functionKey);
+  const getKey = (id) => `${keyPrefix}:${module.exports.hash([keyFor(id)], options.hash_algorithm)}`;
+
+  async function memoizedMany(ids) {
+    if (!ids.length) return [];
+    const keys = ids.map(getKey);
+    const timeoutMs = Math.min(ttlfn(), options.lookup_timeout);
+    const entries = await doLookupMany(client, keys, timeoutMs, options, functionKey);
+    entries.forEach((entry, i) => {
+      if (entry === MAGIC.not_found) return emit(client, options, 'miss', functionKey, keys[i], {source: 'redis'});
+      const fields = isNegative(is_negative, entry.value) ? {source: 'redis', negative: true} : {source: 'redis'};
+      emit(client, options, 'hit', functionKey, keys[i], fields);
+    });
+
+    // Ask for each missing id once, even if it was passed more than once.
+    const missing = new Map();
+    entries.forEach((entry, i) => {
+      if (entry === MAGIC.not_found && !missing.has(keys[i])) missing.set(keys[i], ids[i]);
+    });
+    if (!missing.size) return entries.map(entryValue);
+
+    const missingIds = Array.from(missing.values());
+    const start = Date.now();
+    const results = await fn.call(this, missingIds);
+    emit(client, options, 'compute_ms', functionKey, keyPrefix, {value: Date.now() - start});
+    const fresh = new Map();
+    Array.from(missing.keys()).forEach((key, i) => {
+      const id = missingIds[i];
+      let value;
+      if (Array.isArray(results)) value = results[i];
+      else if (results instanceof Map) value = results.get(id);
+      else value = results[id];
+      fresh.set(key, value);
+    });
+
+    // Write the keys, but don't await on it
+    const writes = Array.from(fresh).map(([key, value]) => {
+      const meta = options.debug_keys ? {args: canonicalJSON([keyFor(missing.get(key))])} : null;
+      return [key, value, jitterTtl(ttlfn(value), options), meta];
+    });
+    const negativeKeys = new Set(writes.filter(([, value]) => isNegative(is_negative, value)).map(([key]) => key));
+    writeKeysToRedis(client, writes, options)
+    .then((written) => written.forEach(({key, sizes, error}) => {
+      if (!error) {
+        const fields = negativeKeys.has(key) ? {...sizes, negative: true} : sizes;
+        return emit(client, options, 'write', functionKey, key, fields);
+      }
+      emit(client, options, 'oversize', functionKey, key, sizes);
+      error.message = `Redis-Memoizer: Error writing key "${key}": ${error.message}`;
+      options.on_error(error, client.client, key);
+    }))
+    .catch((err) => {
+      emit(client, options, 'write_error', functionKey, keyPrefix, {error: err});
+      err.message = `Redis-Memoizer: Error writing keys for "${functionKey}": ${err.message}`;
+      options.on_error(err, client.client, keyPrefix);
+    });
+
+    return entries.map((entry, i) => entry === MAGIC.not_found ? fresh.get(keys[i]) : entryValue(entry));
+  }
+
+  // Drop the memoized results for these ids.
+  memoizedMany.invalidate = async function invalidate(...ids) {
+    const counts = await Promise.all(ids.map((id) => invalidateKeys(client, options, getKey(id))));
+    return counts.reduce((a, b) => a + b, 0);
+  };
+
+  // Drop all memoized results for this function.
+  memoizedMany.invalidateAll = function invalidateAll() {
+    return invalidateKeys(client, options, `${keyPrefix}:*`);
+  };
+
+  return memoizedMany;
+}
+
+// Drop a single key, or every key starting with `pattern` if it ends with '*', from Redis and
+// from every process's L1. Resolves to the number of keys removed from Redis (not counting chunks).
+async function invalidateKeys(client, options, pattern) {
+  const count = pattern.endsWith('*') ?
+    await deleteKeysMatching(client, `${escapeGlob(pattern.slice(0, -1))}*`) :
+    await deleteWithChunks(client, options, pattern);
+  // Only once they're gone from Redis, or a call in the meantime could read them back into an L1.
+  await dropLocally(client, options, [pattern]);
+  return Number(count);
+}
+
+// A chunked result's chunks live under keys of their own, so delete them along with it.
+async function deleteWithChunks(client, options, key) {
+  const chunks = await chunksOf(client, [key], options);
+  const count = await client.delete([key]);
+  if (chunks.length) await client.delete(chunks);
+  return count;
+}
+
+// Drop every key under any of these tags, from Redis and from every process's L1.
+// Resolves to the number of keys removed from Redis.
+async function invalidateTaggedKeys(client, options, tagList) {
+  if (!tagList.length) return 0;
+  // Chunks are tagged along with their results, but only the results count.
+  const deleted = (await client.invalidateTags(tagList.map((tag) => getTagKey(options, tag))))
+  .filter((key) => !isChunkKey(key));
+  if (deleted.length) await dropLocally(client, options, deleted);
+  return deleted.length;
+}
+
+// Drop keys (or patterns) from this process's L1, and tell the other processes to do the same.
+function dropLocally(client, options, patterns) {
+  if (options.localCache) patterns.forEach((pattern) => options.localCache.del(pattern));
+  return client.publish(options.invalidationChannel, patterns.join('\n'));
+}
+
+// In a cluster, tags share a slot of their own, so a key can be added to all its tags in one script.
+function getTagKey(options, tag) {
+  if (options.hashTags) return `${options.keyNamespace}:{$tags}:${tag}`;
+  return `${options.keyNamespace}:$tags:${tag}`;
+}
+
+// Walk the keyspace with SCAN rather than KEYS so we don't block Redis on large datasets.
+// UNLINK frees the memory in the background. Resolves to the number of keys removed.
+async function deleteKeysMatching(client, pattern) {
+  let count = 0;
+  await client.scan(pattern, async (keys) => {
+    count += await client.unlink(keys);
+  });
+  return count;
+}
+
+// Function names and namespaces are user-supplied; don't let them act as glob patterns.
+function escapeGlob(str) {
+  return String(str).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+async function doLookup(client, key, timeout, options, name) {
+  let entry;
   try {
-    memoValue = await Promise.resolve(getKeyFromRedis(client, key, options)).timeout(timeout);
+    entry = await guard(options, () => Promise.resolve(getKeyFromRedis(client, key, options)).timeout(timeout));
   } catch (err) {
+    if (err.name === 'CircuitOpenError') return MAGIC.not_found;
     err.message = `Redis-Memoizer: Error getting key "${key}" with timeout ${timeout}: ${err.message}`;
     if (err.name !== 'TimeoutError') {
-      options.on_error(err, client, key);
+      options.on_error(err, client.client, key);
+    } else {
+      emit(client, options, 'lookup_timeout', name, key, {value: timeout});
     }
     // Continue on
     return MAGIC.not_found;
   }
-  if (memoValue instanceof Error) throw memoValue; // we memoized an error.
-  return memoValue;
+  return entry;
+}
+
+async function doLookupMany(client, keys, timeout, options, name) {
+  try {
+    return await guard(options, () => Promise.resolve(getKeysFromRedis(client, keys, options)).timeout(timeout));
+  } catch (err) {
+    if (err.name === 'CircuitOpenError') return keys.map(() => MAGIC.not_found);
+    err.message = `Redis-Memoizer: Error getting ${keys.length} keys with timeout ${timeout}: ${err.message}`;
+    if (err.name !== 'TimeoutError') {
+      options.on_error(err, client.client, keys[0]);
+    } else {
+      keys.forEach((key) => emit(client, options, 'lookup_timeout', name, key, {value: timeout}));
+    }
+    // Continue on
+    return keys.map(() => MAGIC.not_found);
+  }
+}
+
+// Run a call to Redis through the circuit breaker, if there is one.
+function guard(options, fn) {
+  return options.breaker ? options.breaker.call(fn) : fn();
+}
+
+function emit(client, options, type, name, key, fields) {
+  if (!options.on_event) return;
+  try {
+    options.on_event({type, name, key, ...fields});
+  } catch (err) {
+    // A broken metrics hook shouldn't break the memoized function.
+    err.message = `Redis-Memoizer: Error in on_event: ${err.message}`;
+    options.on_error(err, client.client, key);
+  }
+}
+
+function entryValue(entry) {
+  if (entry.value instanceof Error) throw entry.value; // we memoized an error.
+  return entry.value;
 }
 
 async function getKeyFromRedis(client, key, options) {
   // Bail if not connected; don't wait for reconnect, that's probably slower than just computing.
-  if (!isReady(client)) throw new Error('Not connected.');
+  if (!client.isReady()) throw new Error('Not connected.');
 
-  let value = await compressedGet(client, key);
+  const value = options.batchGet ? await options.batchGet(key) : await compressedGet(client, key);
+  return parseEntry(value, options);
+}
 
-  // Coerce back
-  if (value instanceof Buffer) value = value.toString(); // redis/ioredis compat
+async function getKeysFromRedis(client, keys, options) {
+  if (!client.isReady()) throw new Error('Not connected.');
+
+  const values = await compressedMGet(client, keys);
+  return values.map((value) => parseEntry(value, options));
+}
+
+function parseEntry(value, options) {
   if (value == null) return MAGIC.not_found;
-  return options.deserialize_value(value, options);
+
+  // Entries may carry metadata (e.g. a soft expiry) ahead of the serialized value.
+  let meta = null;
+  if (startsWith(value, MAGIC.meta)) {
+    const metaEnd = value.indexOf('\n');
+    meta = JSON.parse(value.slice(MAGIC.meta.length, metaEnd).toString());
+    value = value.slice(metaEnd + 1);
+  }
+  // Binary entries are detected per entry, so they're readable whatever `deserialize_value` is.
+  if (value instanceof Buffer && startsWith(value, MAGIC.msgpack)) {
+    return {value: msgpack.decode(value.slice(MAGIC.msgpack.length), options), meta};
+  }
+  // Coerce back
+  if (options.deserialize_buffers) value = Buffer.from(value);
+  else if (value instanceof Buffer) value = value.toString(); // redis/ioredis compat
+  return {value: options.deserialize_value(value, options), meta};
+}
+
+// Works on both strings and Buffers.
+function startsWith(value, prefix) {
+  return value.slice(0, prefix.length).toString() === prefix;
 }
 
 function defaultDeserializeValue(value, options) {
@@ -210,51 +850,222 @@ function defaultSerializeValue(value, options) {
   return serializedValue;
 }
 
-async function writeKeyToRedis(client, key, value, ttl, options) {
-  if (!isReady(client)) throw new Error('Not connected.');
+// Opt-in alternative to the default (de)serializers that preserves Maps, Sets, BigInts, Buffers etc.
+// See richSerializer.js. Entries written by the default serializer remain readable.
+function richSerializeValue(value, options) {
+  return rich.serialize(value, options);
+}
+
+function richDeserializeValue(value, options) {
+  if (!rich.isRich(value)) return defaultDeserializeValue(value, options);
+  return rich.deserialize(value, options);
+}
+
+// Compact binary alternative to the default serializer. Reading doesn't need a matching
+// `deserialize_value`; see `parseEntry`.
+function msgpackSerializeValue(value, options) {
+  return Buffer.concat([Buffer.from(MAGIC.msgpack), msgpack.encode(value, options)]);
+}
+
+// Resolves to the size of the entry before and after compression, and the keys it was written under (more than one
+// if it was chunked), unless there was nothing to write.
+async function writeKeyToRedis(client, key, value, ttl, options, meta) {
+  if (!client.isReady()) throw new Error('Not connected.');
 
   // Don't bother writing if ttl is 0.
   if (ttl === 0) return;
+  // Readers need to know when the entry expires: early recompute, and the L1, which mustn't outlive it.
+  meta = {...meta, expires: Date.now() + ttl};
+
+  // Outside the breaker: a result that can't be serialized, or is over `max_value_bytes`, says nothing about Redis.
+  const compressed = await compressEntry(key, ttl, serializeEntry(value, options, meta), options);
+  try {
+    return await compressedPSetX(client, key, compressed, options);
+  } catch (err) {
+    if (err.name !== 'CircuitOpenError') throw err;
+  }
+}
+
+// Like `writeKeyToRedis`, but sends all the writes in a single pipeline. Takes `[key, value, ttl, meta?]` entries.
+// Resolves to the key and sizes of each entry written, and the key, sizes and error of each one too large to write.
+async function writeKeysToRedis(client, entries, options) {
+  if (!client.isReady()) throw new Error('Not connected.');
+
+  const compressed = await Promise.all(entries
+    .filter(([key, value, ttl]) => ttl !== 0)
+    .map(async ([key, value, ttl, meta]) => {
+      try {
+        const serializedVal = serializeEntry(value, options, meta);
+        return {key, ...await compressEntry(key, ttl, serializedVal, options)};
+      } catch (err) {
+        if (err.name !== 'ValueTooLargeError') throw err;
+        return {key, sizes: err.sizes, error: err};
+      }
+    }));
+  const written = compressed.filter(({error}) => !error);
+  const skipped = compressed.filter(({error}) => error).map(({key, sizes, error}) => ({key, sizes, error}));
+  if (!written.length) return skipped;
+  try {
+    const staleChunks = await guard(options, () => chunksOf(client, written.map(({key}) => key), options));
+    // Chunks first, so a reader never finds a chunked value's manifest before its chunks.
+    const writes = written.map(({entries}) => entries);
+    const chunks = [].concat(...writes.map((keyEntries) => keyEntries.slice(0, -1)));
+    if (chunks.length) await guard(options, () => client.setManyWithTtl(chunks));
+    await guard(options, () => client.setManyWithTtl(writes.map((keyEntries) => keyEntries[keyEntries.length - 1])));
+    if (staleChunks.length) await guard(options, () => client.delete(staleChunks));
+  } catch (err) {
+    if (err.name !== 'CircuitOpenError') throw err;
+    return skipped;
+  }
+  return written.map(({key, sizes}) => ({key, sizes})).concat(skipped);
+}
+
+// Shortens `ttl` by a random fraction of up to `ttl_jitter`. A ttl of 0 (don't write) stays 0.
+function jitterTtl(ttl, options) {
+  if (!options.ttl_jitter || !ttl) return ttl;
+  return Math.max(1, Math.round(ttl * (1 - Math.random() * options.ttl_jitter)));
+}
 
+function serializeEntry(value, options, meta) {
   const serializedValue = options.serialize_value(value, options);
-  return compressedPSetX(client, key, ttl, serializedValue);
+  if (!meta) return serializedValue;
+  const metaPrefix = `${MAGIC.meta}${JSON.stringify(meta)}\n`;
+  if (serializedValue instanceof Buffer) return Buffer.concat([Buffer.from(metaPrefix), serializedValue]);
+  return metaPrefix + serializedValue;
 }
 
 //
-// GZIP
+// COMPRESSION
 //
 
-const gzipAsync = util.promisify(zlib.gzip);
-const gunzipAsync = util.promisify(zlib.gunzip);
+function registerCodec(name, {magic, compress, decompress}) {
+  codecs[name] = {magic: Buffer.from(magic), compress, decompress};
+}
+
+registerCodec('gzip', {
+  magic: GZIP_MAGIC,
+  compress: util.promisify(zlib.gzip),
+  decompress: util.promisify(zlib.gunzip),
+});
+registerCodec('deflate-raw', {
+  magic: '$deflateraw__',
+  compress: util.promisify(zlib.deflateRaw),
+  decompress: util.promisify(zlib.inflateRaw),
+});
+// Brotli landed in Node 10.16.
+if (zlib.brotliCompress) {
+  registerCodec('brotli', {
+    magic: '$brotli__',
+    compress: util.promisify(zlib.brotliCompress),
+    decompress: util.promisify(zlib.brotliDecompress),
+  });
+}
 
 async function compressedGet(client, key, cb) {
-  let zippedVal;
-  // Have to use 'getBuffer' for ioredis
-  if (clientTyp(client) === 'ioredis') zippedVal = await client.getBuffer(key);
-  else zippedVal = await client.getAsync(key);
+  const zippedVal = await joinChunks(client, key, await client.get(key));
   return module.exports.gunzip(zippedVal);
 }
 
-async function compressedPSetX(client, key, ttl, value) {
-  const zippedVal = await module.exports.gzip(value);
-  return exec(client, 'set', key, zippedVal, 'PX', ttl);
+async function compressedMGet(client, keys) {
+  const zippedVals = await client.getMany(keys);
+  return Promise.all(zippedVals.map(async (zippedVal, i) => {
+    return module.exports.gunzip(await joinChunks(client, keys[i], zippedVal));
+  }));
+}
+
+// Writes the entries from `compressEntry`, each call through the circuit breaker. Resolves to the sizes, and the keys
+// they were written under.
+async function compressedPSetX(client, key, {sizes, entries}, options) {
+  const staleChunks = await guard(options, () => chunksOf(client, [key], options));
+  // Chunks first, so a reader never finds the manifest before them.
+  if (entries.length > 1) await guard(options, () => client.setManyWithTtl(entries.slice(0, -1)));
+  await guard(options, () => client.setWithTtl(...entries[entries.length - 1]));
+  // The value we replaced may have been chunked, too; its chunks would otherwise linger until they expire.
+  if (staleChunks.length) await guard(options, () => client.delete(staleChunks));
+  return {sizes, keys: entries.map(([entryKey]) => entryKey)};
+}
+
+// Compresses `value`, and applies `max_value_bytes`. Resolves to the sizes, and the `[key, value, ttl]`
+// entries to write: just the one, or with the 'chunk' policy, the chunks followed by a manifest under `key`.
+// Rejects with a ValueTooLargeError with the 'skip' policy.
+async function compressEntry(key, ttl, value, options) {
+  const max = options.max_value_bytes;
+  const sizes = {raw_bytes: Buffer.byteLength(value)};
+  // Don't spend time compressing a value we won't keep anyway.
+  if (max && options.oversize_policy === 'skip' && sizes.raw_bytes > max) throw valueTooLarge(key, sizes, max);
+  const zippedVal = await module.exports.gzip(value, options);
+  sizes.compressed_bytes = Buffer.byteLength(zippedVal);
+  if (!max || sizes.compressed_bytes <= max) return {sizes, entries: [[key, zippedVal, ttl]]};
+  if (options.oversize_policy === 'skip') throw valueTooLarge(key, sizes, max);
+
+  // Each write gets its own chunk keys, so a reader racing a rewrite can't mix old and new chunks.
+  const id = crypto.randomBytes(8).toString('hex');
+  const buf = Buffer.from(zippedVal);
+  const count = Math.ceil(buf.length / max);
+  const entries = chunkKeys(key, id, count).map((chunkKey, i) => [chunkKey, buf.slice(i * max, (i + 1) * max), ttl]);
+  entries.push([key, `${MAGIC.chunked}${JSON.stringify({id, count})}`, ttl]);
+  sizes.chunks = count;
+  return {sizes, entries};
+}
+
+function valueTooLarge(key, sizes, max) {
+  const bytes = sizes.compressed_bytes == null ? sizes.raw_bytes : sizes.compressed_bytes;
+  const err = new Error(`Value for key "${key}" is ${bytes} bytes, over max_value_bytes (${max}).`);
+  err.name = 'ValueTooLargeError';
+  err.sizes = sizes;
+  return err;
 }
 
-async function gzip(value) {
-  // null or too small to effectively gzip
-  if (value == null || value.length < 500) return value;
+function chunkKeys(key, id, count) {
+  return Array.from({length: count}, (_, i) => `${key}:chunk:${id}:${i}`);
+}
 
-  const zippedVal = await gzipAsync(value);
-  return Buffer.concat([MAGIC.gzip, zippedVal], zippedVal.length + MAGIC.gzip_length);
+function isChunkKey(key) {
+  return /:chunk:[0-9a-f]{16}:\d+$/.test(key);
+}
+
+// The chunk keys a stored value points to, if it's a chunked value's manifest.
+function manifestChunkKeys(key, value) {
+  if (value == null || !startsWith(value, MAGIC.chunked)) return [];
+  const {id, count} = JSON.parse(value.slice(MAGIC.chunked.length).toString());
+  return chunkKeys(key, id, count);
+}
+
+// The chunks of whatever is stored under `keys` now. Only values written with the 'chunk' policy have any,
+// so other setups don't pay for the lookup.
+async function chunksOf(client, keys, options) {
+  if (!options.max_value_bytes || options.oversize_policy !== 'chunk') return [];
+  const values = await client.getMany(keys);
+  return [].concat(...values.map((value, i) => manifestChunkKeys(keys[i], value)));
+}
+
+// Reassembles a chunked value from its manifest. Resolves to null if a chunk has gone missing.
+async function joinChunks(client, key, value) {
+  const keys = manifestChunkKeys(key, value);
+  if (!keys.length) return value;
+  const chunks = await client.getMany(keys);
+  if (chunks.some((chunk) => chunk == null)) return null;
+  return Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)));
+}
+
+// `gzip` and `gunzip` are named for the original codec, but handle every registered codec.
+async function gzip(value, options = defaultOptions) {
+  const codec = codecs[options.compression];
+  // null, too small to effectively compress, or compression is off
+  if (value == null || !codec || value.length < options.compression_threshold) return value;
+
+  const zippedVal = await codec.compress(value);
+  return Buffer.concat([codec.magic, zippedVal], zippedVal.length + codec.magic.length);
 }
 
 async function gunzip(value) {
-  // Check for GZIP MAGIC, if there unzip it.
-  if (value instanceof Buffer && value.slice(0, MAGIC.gzip_length).equals(MAGIC.gzip)) {
-    return gunzipAsync(value.slice(MAGIC.gzip_length));
-  } else {
-    return value;
+  if (!(value instanceof Buffer)) return value;
+  // Check for each codec's MAGIC, if there decompress it.
+  for (const name of Object.keys(codecs)) {
+    const {magic, decompress} = codecs[name];
+    if (value.slice(0, magic.length).equals(magic)) return decompress(value.slice(magic.length));
   }
+  return value;
 }
 
 module.exports = createMemoizeFunction;
@@ -263,5 +1074,15 @@ module.exports.hash = hash;
 module.exports.getFunctionKey = getFunctionKey;
 module.exports.gzip = gzip;
 module.exports.gunzip = gunzip;
+module.exports.registerCodec = registerCodec;
+module.exports.serializers = {
+  json: {serialize_value: defaultSerializeValue, deserialize_value: defaultDeserializeValue},
+  rich: {serialize_value: richSerializeValue, deserialize_value: richDeserializeValue},
+  msgpack: {serialize_value: msgpackSerializeValue, deserialize_value: defaultDeserializeValue},
+};
+module.exports.createMetrics = createMetrics;
+module.exports.createAdapter = createAdapter;
+module.exports.stores = {memory: createMemoryStore, filesystem: createFileStore};
 module.exports.MAGIC = MAGIC;
+module.exports.NOT_FOUND = NOT_FOUND;
 module.exports.reISO = reISO;
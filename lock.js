@@ -1,39 +1,208 @@
 'use strict';
+const crypto = require('crypto');
 const Promise = require('bluebird');
-const {exec} = require('./redisCompat');
+
+// Published on a lock's channel when the holder lets go of it: once it has written its result,
+// or if it released the lock without one. Only one of the two goes out per lock.
+const WRITTEN = 'written';
+const RELEASED = 'released';
+
+// With `heartbeat: true`, how many timeouts the holder may keep the lock for, at most.
+const HEARTBEAT_MAX_TIMEOUTS = 10;
+
+// Each acquisition stores a random token in the lock, and only touches the lock while it still
+// holds that token. Otherwise a holder that ran past the lock's expiry could release or extend
+// a lock somebody else has since acquired.
 
 // Variant of redis-lock intended for use with redis-memoizer. Unlike redis-lock,
 // this instead takes an overall timeout, after which the lock is disregarded. This ensures
 // that functions just carry on if the lock is held for too long.
-async function acquireLock(client, lockName, timeoutStamp, retryDelay) {
+// With a heartbeat, the holder keeps extending the lock while it works, and the timeout only
+// applies once the lock is gone; waiters keep waiting as long as it's held, until `heartbeatStamp`.
+// `guard` runs each call to Redis, e.g. through a circuit breaker.
+// Resolves to true if the lock was acquired.
+async function acquireLock(client, lockName, token, timeout, timeoutStamp, heartbeatStamp, wait, guard) {
   try {
-    const timeoutLeft = timeoutStamp - Date.now();
-    if (timeoutLeft <= 0) return;
+    let timeoutLeft = timeoutStamp - Date.now();
+    if (timeoutLeft <= 0) {
+      if (!heartbeatStamp || Date.now() >= heartbeatStamp) return false;
+      if (!await guard(() => client.exists(lockName))) return false;
+      // Still held, so the holder is still alive and working on it.
+      timeoutStamp = Date.now() + timeout;
+      timeoutLeft = timeout;
+    }
     // Set an exclusive key. PX is timeout in ms, NX is don't set if already set.
-    const result = await exec(client, 'set', lockName, '1', 'PX', timeoutLeft, 'NX');
-    if (result.toString() !== 'OK') throw new Error('Lock not acquired.');
+    const px = heartbeatStamp ? timeout : timeoutLeft;
+    if (!await guard(() => client.setIfAbsent(lockName, token, px))) throw new Error('Lock not acquired.');
+    return true;
   } catch (e) {
+    // Redis is down; don't wait on it.
+    if (e.name === 'CircuitOpenError') return false;
     // Try again if we errored for some reason: internal error or just lock already held.
-    await Promise.delay(retryDelay);
-    return acquireLock(client, lockName, timeoutStamp, retryDelay);
+    // No need to keep trying if the holder has already written its result.
+    if (await wait() === WRITTEN) return false;
+    return acquireLock(client, lockName, token, timeout, timeoutStamp, heartbeatStamp, wait, guard);
   }
 }
 
-module.exports = function(client, retryDelay) {
+// How long (in ms) a lock with this `heartbeat` (false, true or `{max}`) may be kept, or 0 without one.
+function heartbeatMax(heartbeat, timeout) {
+  if (!heartbeat) return 0;
+  return heartbeat.max || timeout * HEARTBEAT_MAX_TIMEOUTS;
+}
+
+// `client` and `subscriber` are stores (see redisCompat.js).
+// With a `subscriber`, waiters are woken as soon as the holder publishes on the lock's channel,
+// and only poll every `fallbackRetryDelay` ms in case a message goes missing.
+// With a `breaker`, attempts to take the lock go through the circuit breaker, and waiters give up
+// as soon as it opens.
+module.exports = function(client, retryDelay, {subscriber, fallbackRetryDelay, breaker} = {}) {
   retryDelay = retryDelay || 50;
+  fallbackRetryDelay = fallbackRetryDelay || 500;
+  const guard = breaker ? breaker.call : (fn) => fn();
+
+  // Channel -> {callbacks, subscribed} for the waiters listening on it. One subscription serves them all.
+  const listeners = new Map();
+
+  function listen(channel) {
+    let listener = listeners.get(channel);
+    if (!listener) {
+      const callbacks = new Set();
+      const subscribed = subscriber.subscribe(channel, (message) => callbacks.forEach((callback) => callback(message)))
+      .catch(() => {}); // we still poll
+      listener = {callbacks, subscribed};
+      listeners.set(channel, listener);
+    }
+    const {callbacks} = listener;
+
+    // Keep the last message around, in case it arrives while we're not waiting.
+    let message = null;
+    let wake = null;
+    const onMessage = (msg) => {
+      message = msg;
+      if (wake) wake();
+    };
+    callbacks.add(onMessage);
+
+    return {
+      // Resolves once the subscription is in place (or has failed).
+      subscribed: listener.subscribed,
+      // Resolves to the next message on the channel, or undefined after `fallbackRetryDelay`.
+      wait() {
+        return new Promise((resolve) => {
+          const timer = setTimeout(resolve, fallbackRetryDelay);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+          if (message) wake();
+        }).then(() => {
+          const msg = message;
+          message = wake = null;
+          return msg;
+        });
+      },
+      close() {
+        callbacks.delete(onMessage);
+        if (callbacks.size) return;
+        listeners.delete(channel);
+        subscriber.unsubscribe(channel).catch(() => {});
+      },
+    };
+  }
+
+  function publish(lockName, message) {
+    if (!subscriber) return Promise.resolve();
+    return client.publish(lockName, message);
+  }
+
+  function makeUnlock(lockName, token, timeout, heartbeat) {
+    // Keep pushing the expiry out while the holder is busy; stop as soon as the lock isn't ours, or once
+    // it has been held for the heartbeat's `max`, in case the holder is stuck.
+    let timer = null;
+    if (heartbeat) {
+      const stopStamp = Date.now() + heartbeatMax(heartbeat, timeout);
+      timer = setInterval(() => {
+        if (Date.now() >= stopStamp) return clearInterval(timer);
+        client.expireIfEquals(lockName, token, timeout)
+        .then((extended) => { if (!extended) clearInterval(timer); })
+        .catch(() => {}); // try again on the next beat
+      }, Math.max(Math.floor(timeout / 2), 1));
+    }
 
-  return async function lock(lockName, timeout) {
+    // Pass `{written: true}` once the result is in Redis, so waiters go read it rather than retry the lock.
+    async function unlock({written = false} = {}) {
+      clearInterval(timer);
+      // Now that the task is done, if the lock is still ours, kill it
+      const released = await client.deleteIfEquals(lockName, token);
+      if (written || released) await publish(lockName, written ? WRITTEN : RELEASED);
+    }
+    unlock.acquired = true;
+    return unlock;
+  }
+
+  // Called in place of an unlock fn when we never got the lock. Whoever is still waiting on it
+  // may as well read our result.
+  function notAcquired(lockName) {
+    const unlock = ({written = false} = {}) => written ? publish(lockName, WRITTEN) : Promise.resolve();
+    unlock.acquired = false;
+    return unlock;
+  }
+
+  async function lock(lockName, timeout, {heartbeat = false} = {}) {
     if (!lockName) {
       throw new Error("You must specify a lock key.");
     }
     lockName = `lock.${lockName}`;
+    const token = crypto.randomBytes(16).toString('hex');
     const timeoutStamp = Date.now() + timeout + 1;
-    await acquireLock(client, lockName, timeoutStamp, retryDelay);
+    // Whoever holds the lock lets it expire by then, even if they're still working.
+    const heartbeatStamp = heartbeat ? timeoutStamp + heartbeatMax(heartbeat, timeout) : 0;
 
-    return function unlock() {
-      // Now that the task is done, if the lock would still exist, kill it
-      if (timeoutStamp > Date.now()) return exec(client, 'del', lockName);
-      return Promise.resolve();
-    };
+    let acquired;
+    if (subscriber) {
+      // Most locks are free, so only subscribe once this one turns out to be held. Then try again
+      // straight away, in case the holder finished before the subscription was in place.
+      let listener = null;
+      const wait = async () => {
+        if (listener) return listener.wait();
+        listener = listen(lockName);
+        await listener.subscribed;
+      };
+      try {
+        acquired = await acquireLock(client, lockName, token, timeout, timeoutStamp, heartbeatStamp, wait, guard);
+      } finally {
+        if (listener) listener.close();
+      }
+    } else {
+      const wait = () => Promise.delay(retryDelay);
+      acquired = await acquireLock(client, lockName, token, timeout, timeoutStamp, heartbeatStamp, wait, guard);
+    }
+
+    // Nothing to release if we never got it.
+    if (!acquired) return notAcquired(lockName);
+    return makeUnlock(lockName, token, timeout, heartbeat);
+  }
+
+  // Like `lock`, but makes a single attempt. Resolves to `null` if the lock is held elsewhere
+  // (or the circuit breaker is open).
+  lock.try = async function tryLock(lockName, timeout, {heartbeat = false} = {}) {
+    if (!lockName) {
+      throw new Error("You must specify a lock key.");
+    }
+    lockName = `lock.${lockName}`;
+    const token = crypto.randomBytes(16).toString('hex');
+    let acquired;
+    try {
+      acquired = await guard(() => client.setIfAbsent(lockName, token, timeout));
+    } catch (e) {
+      if (e.name === 'CircuitOpenError') return null;
+      throw e;
+    }
+    if (!acquired) return null;
+
+    return makeUnlock(lockName, token, timeout, heartbeat);
   };
+
+  return lock;
 };
@@ -0,0 +1,34 @@
+'use strict';
+
+// Bounded in-process cache with per-entry expiry, used as an L1 in front of Redis.
+// A Map iterates in insertion order, so re-inserting on access keeps the least recently
+// used entry at the front, ready to be evicted.
+module.exports = function(max) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    if (entry.expires <= Date.now()) return;
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, ttl) {
+    entries.delete(key);
+    entries.set(key, {value, expires: Date.now() + ttl});
+    if (entries.size > max) entries.delete(entries.keys().next().value);
+  }
+
+  // Drop a single key, or every key starting with `prefix` if the pattern ends with '*'.
+  function del(pattern) {
+    if (!pattern.endsWith('*')) return entries.delete(pattern);
+    const prefix = pattern.slice(0, -1);
+    for (const key of entries.keys()) {
+      if (key.startsWith(prefix)) entries.delete(key);
+    }
+  }
+
+  return {get, set, del, clear: () => entries.clear()};
+};
@@ -0,0 +1,142 @@
+'use strict';
+const EventEmitter = require('events');
+
+// A store (see redisCompat.js) that keeps everything in this process. Meant for tests and
+// single-process tools; nothing is shared between processes, and nothing survives a restart.
+// Expired keys are dropped as they're read, and swept every `sweepEvery` writes.
+// It also does publish/subscribe within the process, so it can be passed as its own `subscriber`.
+module.exports = function createMemoryStore({sweepEvery = 1000} = {}) {
+  // Key -> {value: Buffer, expires}
+  const entries = new Map();
+  // Tag key -> {keys: Map of key -> when it expires, expires}
+  const tags = new Map();
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+  let writes = 0;
+
+  function read(map, key) {
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (entry.expires > Date.now()) return entry;
+    map.delete(key);
+    return null;
+  }
+
+  function write(key, value, ttl) {
+    entries.set(key, {value: Buffer.from(value), expires: Date.now() + Number(ttl)});
+    if (++writes % sweepEvery === 0) sweep();
+  }
+
+  function sweep() {
+    for (const map of [entries, tags]) {
+      for (const key of map.keys()) read(map, key);
+    }
+  }
+
+  function remove(keys) {
+    return keys.filter((key) => read(entries, key) && entries.delete(key)).length;
+  }
+
+  const store = {
+    isReady: () => true,
+    get: async (key) => {
+      const entry = read(entries, key);
+      return entry ? entry.value : null;
+    },
+    getMany: async (keys) => keys.map((key) => {
+      const entry = read(entries, key);
+      return entry ? entry.value : null;
+    }),
+    setWithTtl: async (key, value, ttl) => write(key, value, ttl),
+    setManyWithTtl: async (entryList) => entryList.forEach(([key, value, ttl]) => write(key, value, ttl)),
+    async setIfAbsent(key, value, ttl) {
+      if (read(entries, key)) return false;
+      write(key, value, ttl);
+      return true;
+    },
+    delete: async (keys) => remove(keys),
+    exists: async (key) => Boolean(read(entries, key)),
+    ttl: async (key) => {
+      const entry = read(entries, key);
+      return entry ? entry.expires - Date.now() : null;
+    },
+    async deleteIfEquals(key, value) {
+      const entry = read(entries, key);
+      if (!entry || entry.value.toString() !== String(value)) return false;
+      return entries.delete(key);
+    },
+    async expireIfEquals(key, value, ttl) {
+      const entry = read(entries, key);
+      if (!entry || entry.value.toString() !== String(value)) return false;
+      entry.expires = Date.now() + Number(ttl);
+      return true;
+    },
+    async scan(pattern, onKeys) {
+      const matcher = globToRegExp(pattern);
+      const keys = Array.from(entries.keys()).filter((key) => matcher.test(key) && read(entries, key));
+      if (keys.length) await onKeys(keys);
+    },
+    async addToTags(tagKeys, key, ttl) {
+      const now = Date.now();
+      for (const tagKey of tagKeys) {
+        let tag = read(tags, tagKey);
+        if (!tag) tags.set(tagKey, tag = {keys: new Map(), expires: 0});
+        // Drop the keys that have expired since, so a busy tag doesn't keep growing.
+        tag.keys.forEach((expires, taggedKey) => { if (expires <= now) tag.keys.delete(taggedKey); });
+        tag.keys.set(key, now + Number(ttl));
+        tag.expires = Math.max(tag.expires, now + Number(ttl));
+      }
+    },
+    async invalidateTags(tagKeys) {
+      const deleted = [];
+      for (const tagKey of tagKeys) {
+        const tag = read(tags, tagKey);
+        if (!tag) continue;
+        tag.keys.forEach((expires, key) => { if (remove([key])) deleted.push(key); });
+        tags.delete(tagKey);
+      }
+      return deleted;
+    },
+    async publish(channel, message) {
+      // Deliver asynchronously, like Redis would.
+      setImmediate(() => channels.emit(channel, String(message)));
+    },
+    subscribe: async (channel, onMessage) => { channels.on(channel, onMessage); },
+    unsubscribe: async (channel) => { channels.removeAllListeners(channel); },
+    clear() {
+      entries.clear();
+      tags.clear();
+    },
+  };
+  return store;
+};
+
+// Redis glob-style patterns: `*`, `?`, `[abc]`, `[^a-c]` and `\` escapes.
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[' && pattern.indexOf(']', i + 1) !== -1) {
+      const end = pattern.indexOf(']', i + 1);
+      const body = pattern.slice(i + 1, end);
+      const negated = body[0] === '^';
+      source += `[${negated ? '^' : ''}${(negated ? body.slice(1) : body).replace(/[\\\]]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports.globToRegExp = globToRegExp;
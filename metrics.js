@@ -0,0 +1,77 @@
+'use strict';
+
+// In-memory aggregator for the memoizer's `on_event` hook. Counts each event type per function name,
+// sums the timings and write sizes, and renders it all in the Prometheus text format.
+// Events flagged `negative` ("not found" results) are also counted as `${type}_negative`, e.g. `hit_negative`.
+// Counters only ever go up (until `reset()`), so scrape them as Prometheus counters.
+module.exports = function createMetrics({prefix = 'redis_memoizer'} = {}) {
+  // Function name -> {[event type]: count, [`${type}_sum`]: total ms, raw_bytes, compressed_bytes}
+  let counters = new Map();
+
+  function on_event(event) {
+    let counts = counters.get(event.name);
+    if (!counts) {
+      counts = {};
+      counters.set(event.name, counts);
+    }
+    add(counts, event.type, 1);
+    if (event.negative) add(counts, `${event.type}_negative`, 1);
+    if (typeof event.value === 'number') add(counts, `${event.type}_sum`, event.value);
+    if (event.type === 'write') {
+      add(counts, 'raw_bytes', event.raw_bytes);
+      add(counts, 'compressed_bytes', event.compressed_bytes);
+    }
+  }
+
+  // Plain-object copy of the counters, by function name.
+  function snapshot() {
+    const result = {};
+    counters.forEach((counts, name) => { result[name] = Object.assign({}, counts); });
+    return result;
+  }
+
+  function prometheus() {
+    const lines = [];
+    const metric = (name, type, samples) => {
+      if (!samples.length) return;
+      lines.push(`# TYPE ${prefix}_${name} ${type}`);
+      samples.forEach(([suffix, labels, value]) => lines.push(`${prefix}_${name}${suffix}{${labels}} ${value}`));
+    };
+    const samples = (fn) => {
+      const result = [];
+      counters.forEach((counts, name) => fn(counts, `name="${escapeLabel(name)}"`, result));
+      return result;
+    };
+
+    metric('events_total', 'counter', samples((counts, labels, result) => {
+      Object.keys(counts).filter((type) => !/_sum$|_bytes$/.test(type)).sort().forEach((type) => {
+        result.push(['', `${labels},type="${escapeLabel(type)}"`, counts[type]]);
+      });
+    }));
+    ['lock_wait_ms', 'compute_ms'].forEach((type) => {
+      metric(type, 'summary', samples((counts, labels, result) => {
+        if (!counts[type]) return;
+        result.push(['_sum', labels, counts[`${type}_sum`]], ['_count', labels, counts[type]]);
+      }));
+    });
+    metric('write_bytes_total', 'counter', samples((counts, labels, result) => {
+      if (!counts.write) return;
+      result.push(['', `${labels},stage="raw"`, counts.raw_bytes], ['', `${labels},stage="compressed"`, counts.compressed_bytes]);
+    }));
+    return lines.join('\n') + '\n';
+  }
+
+  function reset() {
+    counters = new Map();
+  }
+
+  return {on_event, snapshot, prometheus, reset};
+};
+
+function add(counts, key, value) {
+  counts[key] = (counts[key] || 0) + value;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
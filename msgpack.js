@@ -0,0 +1,230 @@
+'use strict';
+
+// Minimal MessagePack (https://msgpack.org) encoder/decoder for the binary serializer.
+// Covers the same types as the default JSON serializer, plus Buffers (as `bin`), and uses
+// extension types for the values JSON can't carry:
+//   -1  Date (the standard timestamp extension, 96-bit form)
+//    0  undefined
+//    1  Error, as a map of `message` and the `error_serialization_keys`
+// Integers wider than 32 bits are written as float64, which is exact up to Number.MAX_SAFE_INTEGER.
+const EXT_TIMESTAMP = -1;
+const EXT_UNDEFINED = 0;
+const EXT_ERROR = 1;
+const UINT32 = 0x100000000;
+
+function encode(value, options) {
+  const chunks = [];
+  write(chunks, value, options);
+  return Buffer.concat(chunks);
+}
+
+function head(type, size, length) {
+  const buf = Buffer.alloc(1 + size);
+  buf[0] = type;
+  if (size === 1) buf.writeUInt8(length, 1);
+  else if (size === 2) buf.writeUInt16BE(length, 1);
+  else if (size === 4) buf.writeUInt32BE(length, 1);
+  return buf;
+}
+
+// Header for a str, bin, array or map of `length`. `fix` is the fixed-size format, if the type has one.
+function lengthHead(length, fix, fixMax, type8, type16, type32) {
+  if (fix != null && length <= fixMax) return Buffer.from([fix | length]);
+  if (type8 != null && length < 0x100) return head(type8, 1, length);
+  if (length < 0x10000) return head(type16, 2, length);
+  return head(type32, 4, length);
+}
+
+const FIXEXT = {1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8};
+
+function writeExt(chunks, type, data) {
+  const fixext = FIXEXT[data.length];
+  const typeBuf = Buffer.alloc(1);
+  typeBuf.writeInt8(type, 0);
+  chunks.push(fixext ? Buffer.from([fixext]) : lengthHead(data.length, null, 0, 0xc7, 0xc8, 0xc9), typeBuf, data);
+}
+
+function writeNumber(chunks, value) {
+  if (!Number.isInteger(value) || Object.is(value, -0) || value >= UINT32 || value < -0x80000000) {
+    const buf = Buffer.alloc(9);
+    buf[0] = 0xcb;
+    buf.writeDoubleBE(value, 1);
+    return chunks.push(buf);
+  }
+  if (value >= 0) {
+    if (value < 0x80) return chunks.push(Buffer.from([value]));
+    if (value < 0x100) return chunks.push(Buffer.from([0xcc, value]));
+    const buf = value < 0x10000 ? head(0xcd, 2, value) : head(0xce, 4, value);
+    return chunks.push(buf);
+  }
+  if (value >= -0x20) return chunks.push(Buffer.from([value & 0xff]));
+  const size = value >= -0x80 ? 1 : value >= -0x8000 ? 2 : 4;
+  const buf = Buffer.alloc(1 + size);
+  buf[0] = {1: 0xd0, 2: 0xd1, 4: 0xd2}[size];
+  buf.writeIntBE(value, 1, size);
+  chunks.push(buf);
+}
+
+function writeDate(chunks, date) {
+  const ms = date.getTime();
+  const seconds = Math.floor(ms / 1000);
+  const data = Buffer.alloc(12);
+  data.writeUInt32BE((ms - seconds * 1000) * 1e6, 0);
+  const high = Math.floor(seconds / UINT32);
+  data.writeInt32BE(high, 4);
+  data.writeUInt32BE(seconds - high * UINT32, 8);
+  writeExt(chunks, EXT_TIMESTAMP, data);
+}
+
+function write(chunks, value, options) {
+  if (value === undefined) return writeExt(chunks, EXT_UNDEFINED, Buffer.alloc(1));
+  if (value === null) return chunks.push(Buffer.from([0xc0]));
+  if (value === true || value === false) return chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+  if (typeof value === 'number') return writeNumber(chunks, value);
+  if (typeof value === 'string') {
+    const data = Buffer.from(value);
+    return chunks.push(lengthHead(data.length, 0xa0, 31, 0xd9, 0xda, 0xdb), data);
+  }
+  if (Buffer.isBuffer(value)) return chunks.push(lengthHead(value.length, null, 0, 0xc4, 0xc5, 0xc6), value);
+  if (value instanceof Date) {
+    // Invalid dates serialize to null in JSON, too
+    return isNaN(value.getTime()) ? chunks.push(Buffer.from([0xc0])) : writeDate(chunks, value);
+  }
+  if (value instanceof Error) {
+    const fields = {message: value.message};
+    for (const key of options.error_serialization_keys) fields[key] = value[key];
+    return writeExt(chunks, EXT_ERROR, encode(fields, options));
+  }
+  if (Array.isArray(value)) {
+    chunks.push(lengthHead(value.length, 0x90, 15, null, 0xdc, 0xdd));
+    return value.forEach((item) => write(chunks, item, options));
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function') return write(chunks, value.toJSON(), options);
+    const keys = Object.keys(value);
+    chunks.push(lengthHead(keys.length, 0x80, 15, null, 0xde, 0xdf));
+    return keys.forEach((key) => {
+      write(chunks, key, options);
+      write(chunks, value[key], options);
+    });
+  }
+  // Functions, symbols etc. don't survive JSON either.
+  return writeExt(chunks, EXT_UNDEFINED, Buffer.alloc(1));
+}
+
+function decode(buf, options) {
+  const reader = {buf, pos: 0};
+  const value = read(reader, options);
+  if (reader.pos !== buf.length) throw new Error('Unexpected trailing bytes in MessagePack value.');
+  return value;
+}
+
+function take(reader, length) {
+  if (reader.pos + length > reader.buf.length) throw new Error('Truncated MessagePack value.');
+  const start = reader.pos;
+  reader.pos += length;
+  return start;
+}
+
+function readUInt(reader, size) {
+  const start = take(reader, size);
+  if (size === 8) return reader.buf.readUInt32BE(start) * UINT32 + reader.buf.readUInt32BE(start + 4);
+  return reader.buf.readUIntBE(start, size);
+}
+
+function readInt(reader, size) {
+  const start = take(reader, size);
+  if (size === 8) return reader.buf.readInt32BE(start) * UINT32 + reader.buf.readUInt32BE(start + 4);
+  return reader.buf.readIntBE(start, size);
+}
+
+function readBytes(reader, length) {
+  const start = take(reader, length);
+  return reader.buf.slice(start, start + length);
+}
+
+function readArray(reader, length, options) {
+  const arr = new Array(length);
+  for (let i = 0; i < length; i++) arr[i] = read(reader, options);
+  return arr;
+}
+
+function readMap(reader, length, options) {
+  const obj = {};
+  for (let i = 0; i < length; i++) {
+    const key = read(reader, options);
+    const value = read(reader, options);
+    // Like JSON.parse, make `__proto__` an own property rather than setting the prototype.
+    if (key === '__proto__') Object.defineProperty(obj, key, {value, enumerable: true, writable: true, configurable: true});
+    else obj[key] = value;
+  }
+  return obj;
+}
+
+function readExt(reader, length, options) {
+  const type = reader.buf.readInt8(take(reader, 1));
+  const data = readBytes(reader, length);
+  switch (type) {
+    case EXT_UNDEFINED:
+      return undefined;
+    case EXT_TIMESTAMP:
+      return readTimestamp(data);
+    case EXT_ERROR: {
+      const fields = decode(data, options);
+      const err = new Error(fields.message);
+      for (const key of options.error_serialization_keys) err[key] = fields[key];
+      return err;
+    }
+    default:
+      throw new Error(`Unknown MessagePack extension type ${type}.`);
+  }
+}
+
+function readTimestamp(data) {
+  if (data.length === 4) return new Date(data.readUInt32BE(0) * 1000);
+  if (data.length === 8) {
+    // 30-bit nanoseconds, then 34-bit seconds
+    const high = data.readUInt32BE(0);
+    const seconds = (high & 0x3) * UINT32 + data.readUInt32BE(4);
+    return new Date(seconds * 1000 + Math.floor((high >>> 2) / 1e6));
+  }
+  const seconds = data.readInt32BE(4) * UINT32 + data.readUInt32BE(8);
+  return new Date(seconds * 1000 + Math.floor(data.readUInt32BE(0) / 1e6));
+}
+
+function read(reader, options) {
+  const type = reader.buf[take(reader, 1)];
+  if (type < 0x80) return type;
+  if (type < 0x90) return readMap(reader, type & 0x0f, options);
+  if (type < 0xa0) return readArray(reader, type & 0x0f, options);
+  if (type < 0xc0) return readBytes(reader, type & 0x1f).toString();
+  if (type >= 0xe0) return type - 0x100;
+
+  switch (type) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: case 0xc5: case 0xc6:
+      return Buffer.from(readBytes(reader, readUInt(reader, 1 << (type - 0xc4))));
+    case 0xc7: case 0xc8: case 0xc9:
+      return readExt(reader, readUInt(reader, 1 << (type - 0xc7)), options);
+    case 0xca: return reader.buf.readFloatBE(take(reader, 4));
+    case 0xcb: return reader.buf.readDoubleBE(take(reader, 8));
+    case 0xcc: case 0xcd: case 0xce: case 0xcf:
+      return readUInt(reader, 1 << (type - 0xcc));
+    case 0xd0: case 0xd1: case 0xd2: case 0xd3:
+      return readInt(reader, 1 << (type - 0xd0));
+    case 0xd4: case 0xd5: case 0xd6: case 0xd7: case 0xd8:
+      return readExt(reader, 1 << (type - 0xd4), options);
+    case 0xd9: case 0xda: case 0xdb:
+      return readBytes(reader, readUInt(reader, 1 << (type - 0xd9))).toString();
+    case 0xdc: case 0xdd:
+      return readArray(reader, readUInt(reader, type === 0xdc ? 2 : 4), options);
+    case 0xde: case 0xdf:
+      return readMap(reader, readUInt(reader, type === 0xde ? 2 : 4), options);
+    default:
+      throw new Error(`Invalid MessagePack type 0x${type.toString(16)}.`);
+  }
+}
+
+module.exports = {encode, decode};
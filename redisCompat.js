@@ -1,6 +1,43 @@
 // ioredis/node_redis compat
+const util = require('util');
+const tags = require('./tags');
 
-module.exports.exec = function exec(client, key, ...args) {
+// Everything the memoizer stores goes through a store, so any client (or no Redis at all) can be plugged in.
+// A store must implement:
+//
+//   get(key): Promise<?Buffer>                 null if the key doesn't exist; strings are fine, too
+//   setWithTtl(key, value, ttl): Promise       value is a string or Buffer, ttl in ms
+//   setIfAbsent(key, value, ttl): Promise<boolean>
+//                                              only sets the key if it doesn't exist; resolves to whether it did
+//   delete(keys): Promise<number>              resolves to how many of the keys existed
+//   scan(pattern, onKeys): Promise             calls `onKeys(keys)` for each batch of keys matching the glob
+//                                              `pattern`, waiting on what it returns
+//
+// And may implement (otherwise they fall back to the methods above, or the features that need them
+// aren't available):
+//
+//   isReady(): boolean                         false to skip the store rather than wait for a reconnect
+//   getMany(keys): Promise<?Buffer[]>          used by memoize.many and lookup_batch_window
+//   setManyWithTtl([key, value, ttl][]): Promise
+//   unlink(keys): Promise<number>              a non-blocking `delete`
+//   exists(key): Promise<boolean>
+//   ttl(key): Promise<?number>                 ms the key has left, or null if it doesn't exist; needed by memoized.ttl()
+//   deleteIfEquals(key, value): Promise<boolean>
+//   expireIfEquals(key, value, ttl): Promise<boolean>
+//                                              used to release and extend locks; the fallbacks aren't atomic
+//   addToTags(tagKeys, key, ttl): Promise
+//   invalidateTags(tagKeys): Promise<string[]> the keys deleted
+//   eval(script, keys, args): Promise<any>     Redis stores; the four methods above fall back to Lua scripts,
+//                                              unless it rejects them (see `cantRunScripts`)
+//   publish(channel, message): Promise         needed for L1 invalidation and lock notifications
+//   subscribe(channel, onMessage): Promise     needed of a `subscriber`; `onMessage(message: string)`
+//   unsubscribe(channel): Promise
+//   isCluster: boolean                         multi-key commands only work within a slot
+//
+// The built-in Redis stores cover ioredis (including Cluster and Sentinel-backed clients), node_redis v2
+// promisified with Bluebird, and node-redis v4+. See also memoryStore.js and fileStore.js.
+
+const exec = module.exports.exec = function exec(client, key, ...args) {
   const fn = client[key + 'Async'] || client[key];
   return fn.apply(client, args);
 };
@@ -8,12 +45,260 @@ module.exports.exec = function exec(client, key, ...args) {
 module.exports.isReady = function isReady(client) {
   // Bail if not connected; don't wait for reconnect, that's probably slower than just computing.
   const connectedNodeRedis = Boolean(client.connected);
+  // ioredis clients (including Sentinel-backed ones) and Clusters are only 'ready' once they can take commands.
   const connectedIORedis = client.status === 'ready';
   return Boolean(connectedNodeRedis || connectedIORedis);
 };
 
 module.exports.clientTyp = function(client) {
   if (!client) return null;
-  if (client.constructor.name === 'Redis') return 'ioredis';
+  if (isAdapter(client)) return 'adapter';
+  // node-redis v4+ clients are built dynamically, so go by their API rather than their class.
+  if (typeof client.sendCommand === 'function' && 'isOpen' in client) return 'node_redis_v4';
+  if (client.constructor.name === 'Redis' || module.exports.isCluster(client)) return 'ioredis';
   else if (client.constructor.name === 'RedisClient') return 'node_redis';
 };
+
+// ioredis Cluster. Commands are routed by key, but multi-key commands (and scripts) only work
+// on keys in the same slot, and SCAN only covers a single node.
+module.exports.isCluster = function isCluster(client) {
+  return Boolean(client) && client.constructor.name === 'Cluster';
+};
+
+function isAdapter(client) {
+  return ['get', 'setWithTtl', 'setIfAbsent', 'delete', 'scan'].every((name) => typeof client[name] === 'function');
+}
+
+// Each lock holds a random token, and is only released or extended while it still holds it.
+const DELETE_IF_EQUALS_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0`;
+const EXPIRE_IF_EQUALS_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+  end
+  return 0`;
+
+// Wraps a client (or a custom store) in a store with every optional method filled in.
+// Keeps the original client as `adapter.client`. Returns null for anything it doesn't recognize.
+module.exports.createAdapter = function createAdapter(client) {
+  const typ = module.exports.clientTyp(client);
+  let adapter;
+  if (typ === 'adapter') adapter = client;
+  else if (typ === 'ioredis' || typ === 'node_redis') adapter = classicAdapter(client, typ);
+  else if (typ === 'node_redis_v4') adapter = nodeRedisV4Adapter(client);
+  else return null;
+
+  const unavailable = (name) => () => Promise.reject(new Error(`This store does not implement \`${name}\`.`));
+  const optional = (name, fallback) => adapter[name] ? adapter[name].bind(adapter) : fallback;
+  const equals = (stored, value) => stored != null && stored.toString() === String(value);
+  const store = {
+    client,
+    isCluster: Boolean(adapter.isCluster),
+    isReady: optional('isReady', () => true),
+    get: (key) => adapter.get(key),
+    setWithTtl: (key, value, ttl) => adapter.setWithTtl(key, value, ttl),
+    setIfAbsent: (key, value, ttl) => adapter.setIfAbsent(key, value, ttl),
+    delete: (keys) => adapter.delete(keys),
+    scan: (pattern, onKeys) => adapter.scan(pattern, onKeys),
+    getMany: optional('getMany', (keys) => Promise.all(keys.map((key) => adapter.get(key)))),
+    setManyWithTtl: optional('setManyWithTtl', (entries) => Promise.all(entries.map((entry) => adapter.setWithTtl(...entry)))),
+    unlink: optional('unlink', (keys) => adapter.delete(keys)),
+    exists: optional('exists', async (key) => await adapter.get(key) != null),
+    ttl: optional('ttl', unavailable('ttl')),
+    eval: optional('eval', unavailable('eval')),
+    publish: optional('publish', () => Promise.resolve()),
+    subscribe: optional('subscribe', unavailable('subscribe')),
+    unsubscribe: optional('unsubscribe', () => Promise.resolve()),
+  };
+
+  // Clients that turn scripts down (fakeredis, or a server with EVAL disabled) get the fallbacks instead,
+  // from the first refusal on.
+  let scripting = Boolean(adapter.eval);
+  const scriptedOr = (scripted, fallback) => async (...args) => {
+    if (scripting) {
+      try {
+        return await scripted(...args);
+      } catch (err) {
+        if (!cantRunScripts(err)) throw err;
+        scripting = false;
+      }
+    }
+    return fallback(...args);
+  };
+
+  store.deleteIfEquals = optional('deleteIfEquals', scriptedOr(
+    async (key, value) => Boolean(Number(await adapter.eval(DELETE_IF_EQUALS_SCRIPT, [key], [value]))),
+    async (key, value) => equals(await adapter.get(key), value) && Boolean(await adapter.delete([key]))));
+  store.expireIfEquals = optional('expireIfEquals', scriptedOr(
+    async (key, value, ttl) => Boolean(Number(await adapter.eval(EXPIRE_IF_EQUALS_SCRIPT, [key], [value, ttl]))),
+    async (key, value, ttl) => {
+      if (!equals(await adapter.get(key), value)) return false;
+      await adapter.setWithTtl(key, value, ttl);
+      return true;
+    }));
+  const scriptedTags = tags.scripted(store);
+  const keyValueTags = tags.keyValue(store);
+  store.addToTags = optional('addToTags', scriptedOr(scriptedTags.addToTags, keyValueTags.addToTags));
+  store.invalidateTags = optional('invalidateTags', scriptedOr(scriptedTags.invalidateTags, keyValueTags.invalidateTags));
+  return store;
+};
+
+// fakeredis says EVAL "is not implemented", Redis that it's an "unknown command" when scripting is disabled.
+function cantRunScripts(err) {
+  return /not implemented|unknown command/i.test(err.message);
+}
+
+// ioredis and node_redis v2 share most commands; node_redis's are promisified with an `Async` suffix.
+function classicAdapter(client, typ) {
+  const cluster = module.exports.isCluster(client);
+  // Keys in a cluster may be in different slots, so multi-key deletes go one key at a time.
+  const deleteKeys = (command) => async (keys) => {
+    if (!cluster) return Number(await exec(client, command, ...keys));
+    const counts = await Promise.all(keys.map((key) => exec(client, command, key)));
+    return counts.reduce((a, b) => a + Number(b), 0);
+  };
+
+  return {
+    isCluster: cluster,
+    isReady: () => module.exports.isReady(client),
+    // Have to use 'getBuffer' for ioredis; node_redis returns Buffers with `return_buffers`.
+    get: (key) => typ === 'ioredis' ? client.getBuffer(key) : client.getAsync(key),
+    getMany(keys) {
+      if (cluster) return clusterMGet(client, keys);
+      return typ === 'ioredis' ? client.mgetBuffer(keys) : client.mgetAsync(keys);
+    },
+    setWithTtl: (key, value, ttl) => exec(client, 'set', key, value, 'PX', ttl),
+    setManyWithTtl(entries) {
+      if (cluster) return Promise.all(entries.map(([key, value, ttl]) => exec(client, 'set', key, value, 'PX', ttl)));
+      return pipeline(client, typ, entries.map(([key, value, ttl]) => ['set', key, value, 'PX', ttl]));
+    },
+    async setIfAbsent(key, value, ttl) {
+      const result = await exec(client, 'set', key, value, 'PX', ttl, 'NX');
+      return Boolean(result) && result.toString() === 'OK';
+    },
+    delete: deleteKeys('del'),
+    unlink: deleteKeys('unlink'),
+    exists: async (key) => Boolean(Number(await exec(client, 'exists', key))),
+    ttl: async (key) => pttl(await exec(client, 'pttl', key)),
+    eval: (script, keys, args) => exec(client, 'eval', script, keys.length, ...keys, ...args),
+    async scan(pattern, onKeys) {
+      // SCAN only covers the node it's sent to, so in a cluster, walk each master.
+      const nodes = cluster ? client.nodes('master') : [client];
+      await Promise.all(nodes.map(async (node) => {
+        let cursor = '0';
+        do {
+          const [nextCursor, keys] = await exec(node, 'scan', cursor, 'MATCH', pattern, 'COUNT', 1000);
+          cursor = nextCursor.toString();
+          if (keys.length) await onKeys(keys.map(String));
+        } while (cursor !== '0');
+      }));
+    },
+    publish: (channel, message) => exec(client, 'publish', channel, message),
+    ...subscriptions(client, (channel) => exec(client, 'subscribe', channel),
+      (channel) => exec(client, 'unsubscribe', channel)),
+  };
+}
+
+// node-redis v4+ has native promises and takes raw commands; Buffers are asked for per command.
+function nodeRedisV4Adapter(client) {
+  const args = (command) => command.map((arg) => Buffer.isBuffer(arg) ? arg : String(arg));
+  const send = (...command) => client.sendCommand(args(command));
+  const sendForBuffers = (...command) => client.sendCommand(args(command), {returnBuffers: true});
+
+  return {
+    isReady: () => Boolean(client.isReady),
+    get: (key) => sendForBuffers('GET', key),
+    getMany: (keys) => sendForBuffers('MGET', ...keys),
+    setWithTtl: (key, value, ttl) => send('SET', key, value, 'PX', ttl),
+    // Commands sent in the same tick are pipelined anyway.
+    setManyWithTtl: (entries) => Promise.all(entries.map(([key, value, ttl]) => send('SET', key, value, 'PX', ttl))),
+    setIfAbsent: async (key, value, ttl) => String(await send('SET', key, value, 'PX', ttl, 'NX')) === 'OK',
+    delete: async (keys) => Number(await send('DEL', ...keys)),
+    unlink: async (keys) => Number(await send('UNLINK', ...keys)),
+    exists: async (key) => Boolean(Number(await send('EXISTS', key))),
+    ttl: async (key) => pttl(await send('PTTL', key)),
+    eval: (script, keys, evalArgs) => send('EVAL', script, keys.length, ...keys, ...evalArgs),
+    async scan(pattern, onKeys) {
+      let cursor = '0';
+      do {
+        const [nextCursor, keys] = await send('SCAN', cursor, 'MATCH', pattern, 'COUNT', 1000);
+        cursor = String(nextCursor);
+        if (keys.length) await onKeys(keys.map(String));
+      } while (cursor !== '0');
+    },
+    publish: (channel, message) => send('PUBLISH', channel, message),
+    subscribe: (channel, onMessage) => client.subscribe(channel, (message) => onMessage(String(message))),
+    unsubscribe: (channel) => client.unsubscribe(channel),
+  };
+}
+
+// PTTL is -2 for a missing key, and -1 for one that never expires (or, before Redis 2.8, for a missing key).
+// The memoizer only writes keys that expire, so either way there's no result.
+function pttl(result) {
+  const ms = Number(result);
+  return ms < 0 ? null : ms;
+}
+
+// ioredis and node_redis v2 emit every message on the client; hand each to its channel's handler.
+function subscriptions(client, subscribe, unsubscribe) {
+  const handlers = new Map();
+  let listening = false;
+  return {
+    subscribe(channel, onMessage) {
+      if (!listening) {
+        listening = true;
+        // node_redis may hand us Buffers.
+        client.on('message', (messageChannel, message) => {
+          const handler = handlers.get(String(messageChannel));
+          if (handler) handler(String(message));
+        });
+      }
+      handlers.set(channel, onMessage);
+      return subscribe(channel);
+    },
+    unsubscribe(channel) {
+      handlers.delete(channel);
+      return unsubscribe(channel);
+    },
+  };
+}
+
+// Send several commands in one round trip. Resolves to their results, or rejects with the first error.
+async function pipeline(client, typ, commands) {
+  let results;
+  if (typ === 'ioredis') {
+    results = (await client.pipeline(commands).exec()).map(([err, result]) => err || result);
+  } else {
+    const batch = client.batch(commands);
+    results = await util.promisify(batch.exec).call(batch);
+  }
+  const err = results.find((result) => result instanceof Error);
+  if (err) throw err;
+  return results;
+}
+
+// MGET only works within a slot, so send one per hash tag. With `hash_tags`, that's one per function.
+async function clusterMGet(client, keys) {
+  const groups = new Map();
+  keys.forEach((key, i) => {
+    const slotKey = hashTagOf(key);
+    if (!groups.has(slotKey)) groups.set(slotKey, []);
+    groups.get(slotKey).push(i);
+  });
+  const values = new Array(keys.length);
+  await Promise.all(Array.from(groups.values()).map(async (indexes) => {
+    const groupValues = await client.mgetBuffer(indexes.map((i) => keys[i]));
+    indexes.forEach((index, j) => { values[index] = groupValues[j]; });
+  }));
+  return values;
+}
+
+// The part of a key Redis Cluster hashes to pick its slot: the first non-empty `{...}`, or the whole key.
+function hashTagOf(key) {
+  const start = key.indexOf('{');
+  const end = start === -1 ? -1 : key.indexOf('}', start + 1);
+  return end > start + 1 ? key.slice(start + 1, end) : key;
+}
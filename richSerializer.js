@@ -0,0 +1,90 @@
+'use strict';
+
+// Tagged JSON that round-trips the types plain JSON loses: Map, Set, BigInt, Buffer, RegExp, Date,
+// Error, undefined (also inside objects and arrays), NaN, Infinity and -0.
+// Special values are written as `{"$t": <type>, "v": <payload>}`. Plain objects that happen to have
+// a `$t` key of their own are wrapped as well, so they can't be mistaken for a tagged value.
+// Strings are never revived as anything but strings.
+const PREFIX = '_$$_rich';
+const TAG = '$t';
+
+function isRich(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function serialize(value, options) {
+  return PREFIX + JSON.stringify(encode(value, options));
+}
+
+function deserialize(value, options) {
+  return decode(JSON.parse(value.slice(PREFIX.length)), options);
+}
+
+function tagged(type, payload) {
+  return payload === undefined ? {[TAG]: type} : {[TAG]: type, v: payload};
+}
+
+function encode(value, options) {
+  if (value === undefined) return tagged('undefined');
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number') {
+    if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+    return tagged('Number', Object.is(value, -0) ? '-0' : String(value));
+  }
+  // `typeof value === 'bigint'` without upsetting older linters
+  if (Object.prototype.toString.call(value) === '[object BigInt]') return tagged('BigInt', value.toString());
+  if (typeof value !== 'object') return tagged('undefined'); // functions and symbols, as JSON would drop them
+  if (Buffer.isBuffer(value)) return tagged('Buffer', value.toString('base64'));
+  if (value instanceof Date) return tagged('Date', value.getTime());
+  if (value instanceof RegExp) return tagged('RegExp', [value.source, value.flags]);
+  if (value instanceof Map) {
+    return tagged('Map', Array.from(value, ([k, v]) => [encode(k, options), encode(v, options)]));
+  }
+  if (value instanceof Set) return tagged('Set', Array.from(value, (v) => encode(v, options)));
+  if (value instanceof Error) {
+    const payload = {message: value.message};
+    for (const key of options.error_serialization_keys) payload[key] = encode(value[key], options);
+    return tagged('Error', payload);
+  }
+  if (Array.isArray(value)) return value.map((v) => encode(v, options));
+  if (typeof value.toJSON === 'function') return encode(value.toJSON(), options);
+
+  const encoded = {};
+  for (const key of Object.keys(value)) encoded[key] = encode(value[key], options);
+  return encoded.hasOwnProperty(TAG) ? tagged('Object', encoded) : encoded;
+}
+
+function decode(value, options) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map((v) => decode(v, options));
+  if (!value.hasOwnProperty(TAG)) return decodeObject(value, options);
+
+  const payload = value.v;
+  switch (value[TAG]) {
+    case 'undefined': return undefined;
+    case 'Number': return payload === '-0' ? -0 : Number(payload);
+    case 'BigInt': return global.BigInt(payload);
+    case 'Buffer': return Buffer.from(payload, 'base64');
+    case 'Date': return new Date(payload);
+    case 'RegExp': return new RegExp(payload[0], payload[1]);
+    case 'Map': return new Map(payload.map(([k, v]) => [decode(k, options), decode(v, options)]));
+    case 'Set': return new Set(payload.map((v) => decode(v, options)));
+    case 'Error': {
+      const err = new Error(payload.message);
+      for (const key of options.error_serialization_keys) {
+        if (payload.hasOwnProperty(key)) err[key] = decode(payload[key], options);
+      }
+      return err;
+    }
+    case 'Object': return decodeObject(payload, options);
+    default: throw new Error(`Unknown serialized type "${value[TAG]}".`);
+  }
+}
+
+function decodeObject(value, options) {
+  const decoded = {};
+  for (const key of Object.keys(value)) decoded[key] = decode(value[key], options);
+  return decoded;
+}
+
+module.exports = {isRich, serialize, deserialize};
@@ -0,0 +1,96 @@
+'use strict';
+
+// Each tag is a sorted set of the memo keys written under it, scored by when they expire. Keys that
+// have expired are trimmed as others are added, so a busy tag only holds the keys still around.
+// The set lives as long as the longest-lived key in it, so it doesn't outlive what it points to.
+// ARGV is the key, its ttl and the current time (in ms).
+const TAG_SCRIPT = `
+  local ttl, now = tonumber(ARGV[2]), tonumber(ARGV[3])
+  for _, tagKey in ipairs(KEYS) do
+    redis.call('zremrangebyscore', tagKey, '-inf', now)
+    redis.call('zadd', tagKey, now + ttl, ARGV[1])
+    if redis.call('pttl', tagKey) < ttl then
+      redis.call('pexpire', tagKey, ttl)
+    end
+  end`;
+
+// Deletes every key under the given tags, and the tags themselves, in one go.
+// Returns the keys that were deleted. ARGV is the current time (in ms).
+const INVALIDATE_SCRIPT = `
+  local deleted = {}
+  for _, tagKey in ipairs(KEYS) do
+    for _, key in ipairs(redis.call('zrangebyscore', tagKey, ARGV[1], '+inf')) do
+      if redis.call('del', key) == 1 then
+        table.insert(deleted, key)
+      end
+    end
+    redis.call('del', tagKey)
+  end
+  return deleted`;
+
+const MEMBERS_SCRIPT = `return redis.call('zrangebyscore', KEYS[1], ARGV[1], '+inf')`;
+const REMOVE_SCRIPT = `return redis.call('zrem', KEYS[1], unpack(ARGV))`;
+
+// Tag operations for a store (see redisCompat.js) that runs Lua scripts, i.e. Redis.
+module.exports.scripted = function scripted(store) {
+  return {
+    addToTags(tagKeys, key, ttl) {
+      return store.eval(TAG_SCRIPT, tagKeys, [key, ttl, Date.now()]);
+    },
+    async invalidateTags(tagKeys) {
+      if (store.isCluster) return invalidateTagsInCluster(store, tagKeys);
+      const deleted = await store.eval(INVALIDATE_SCRIPT, tagKeys, [Date.now()]);
+      return deleted.map(String);
+    },
+  };
+};
+
+// A script can only touch keys in its own slot, and tagged keys are spread all over a cluster,
+// so delete them one by one. Only the keys we've seen are removed from the tag, so a key tagged
+// in the meantime isn't lost.
+async function invalidateTagsInCluster(store, tagKeys) {
+  const deleted = [];
+  for (const tagKey of tagKeys) {
+    const keys = (await store.eval(MEMBERS_SCRIPT, [tagKey], [Date.now()])).map(String);
+    if (!keys.length) continue;
+    const counts = await Promise.all(keys.map((key) => store.delete([key])));
+    keys.forEach((key, i) => { if (counts[i]) deleted.push(key); });
+    await store.eval(REMOVE_SCRIPT, [tagKey], keys);
+  }
+  return deleted;
+}
+
+// Tag operations for any other store. Each tag is a plain key holding `{keys, expires}` as JSON, where `keys`
+// maps each key to when it expires, so keys that have expired can be dropped from it, like above.
+// Updates read the tag and write it back, so concurrent writers to the same tag may lose a key.
+module.exports.keyValue = function keyValue(store) {
+  // Only the keys that haven't expired yet.
+  async function readTag(tagKey) {
+    const value = await store.get(tagKey);
+    const tag = value == null ? {keys: {}, expires: 0} : JSON.parse(value.toString());
+    const now = Date.now();
+    Object.keys(tag.keys).forEach((key) => { if (tag.keys[key] <= now) delete tag.keys[key]; });
+    return tag;
+  }
+
+  return {
+    addToTags(tagKeys, key, ttl) {
+      return Promise.all(tagKeys.map(async (tagKey) => {
+        const tag = await readTag(tagKey);
+        tag.keys[key] = Date.now() + ttl;
+        tag.expires = Math.max(tag.expires, tag.keys[key]);
+        await store.setWithTtl(tagKey, JSON.stringify(tag), tag.expires - Date.now());
+      }));
+    },
+    async invalidateTags(tagKeys) {
+      const deleted = [];
+      for (const tagKey of tagKeys) {
+        const keys = Object.keys((await readTag(tagKey)).keys);
+        const counts = await Promise.all(keys.map((key) => store.delete([key])));
+        keys.forEach((key, i) => { if (counts[i]) deleted.push(key); });
+        await store.delete([tagKey]);
+      }
+      return deleted;
+    },
+  };
+};
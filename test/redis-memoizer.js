@@ -1,4 +1,7 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const should = require('should');
 const Promise = require('bluebird');
 
@@ -108,6 +111,28 @@ describe('redis-memoizer', () => {
     callCount.should.equal(1);
   });
 
+  it('should memoize large values with any registered codec', async () => {
+    let callCount = 0;
+    const fn = async (val1) => { callCount++; return pkgJSON + val1; };
+    const prefixes = {'deflate-raw': '$deflateraw__', brotli: '$brotli__'};
+
+    for (const compression of Object.keys(prefixes)) {
+      const memoized = memoizePkg(client, {...makeDefaultOptions(), compression})(fn, {name: `fn_codec_${compression}`});
+      (await memoized(1)).should.equal(pkgJSON + 1);
+      await Promise.delay(50);
+      const [key] = await exec(client, 'keys', `memos:*fn_codec_${compression}*`);
+      const stored = await exec(client, 'get', key.toString());
+      stored.slice(0, prefixes[compression].length).toString().should.equal(prefixes[compression]);
+
+      // Readable no matter which codec the reader compresses with
+      const reader = memoizePkg(client, makeDefaultOptions())(fn, {name: `fn_codec_${compression}`});
+      (await reader(1)).should.equal(pkgJSON + 1);
+    }
+    callCount.should.equal(2);
+
+    (() => memoizePkg(client, {...makeDefaultOptions(), compression: 'nope'})).should.throw(/Unknown compression codec/);
+  });
+
   it('should memoize separate function separately', async () => {
     const function1 = async arg => { await Promise.delay(10); return 1; };
     const function2 = async arg => { await Promise.delay(10); return 2; };
@@ -136,19 +161,21 @@ describe('redis-memoizer', () => {
 
     if (!options.delayTime || !options.iters) throw new Error('bad args', options);
     let callCount = 0;
-    const do_memoize = memoizePkg(client, {
-      ...makeDefaultOptions(),
-      ...memoizerOptions,
-    });
-
     const fn = async () => {
       callCount++;
       await Promise.delay(options.delayTime);
     };
-    const memoized = do_memoize(fn, memoizeOptions);
+    // One memoizer per caller, standing in for separate processes.
+    const callers = [ ...Array(options.iters).keys() ].map(() => {
+      const do_memoize = memoizePkg(client, {
+        ...makeDefaultOptions(),
+        ...memoizerOptions,
+      });
+      return do_memoize(fn, memoizeOptions);
+    });
 
     let start = Date.now();
-    await Promise.all([ ...Array(options.iters).keys() ].map(() => memoized()));
+    await Promise.all(callers.map((memoized) => memoized()));
     let duration = Date.now() - start;
     callCount.should.equal(1);
     return duration;
@@ -172,6 +199,169 @@ describe('redis-memoizer', () => {
     (duration).should.be.below(50);
   });
 
+  it('should wake lock waiters once the result is written', async () => {
+    const functionDelayTime = 50;
+    let callCount = 0;
+    const fn = async () => {
+      callCount++;
+      await Promise.delay(functionDelayTime);
+      return callCount;
+    };
+    const subscribers = [];
+    // Spinning on the lock would take far longer than the fn itself.
+    const callers = [1, 2, 3].map(() => {
+      const subscriber = Redis.createClient(PORT, 'localhost', {return_buffers: true});
+      subscribers.push(subscriber);
+      const do_memoize = memoizePkg(client, {
+        ...makeDefaultOptions(),
+        subscriber,
+        lock_retry_delay: 2000,
+        lock_fallback_retry_delay: 2000,
+      });
+      return do_memoize(fn, {name: 'fn_lock_notify'});
+    });
+
+    try {
+      const start = Date.now();
+      const results = await Promise.all(callers.map((memoized) => memoized()));
+      (Date.now() - start).should.be.below(1000);
+      results.should.eql([1, 1, 1]);
+      callCount.should.equal(1);
+    } finally {
+      subscribers.forEach((subscriber) => subscriber.end(true));
+    }
+  });
+
+  it('should only subscribe to a lock once it turns out to be held', async () => {
+    const store = memoizePkg.stores.memory();
+    const commands = [];
+    ['subscribe', 'publish'].forEach((name) => {
+      const original = store[name];
+      store[name] = (channel, ...args) => {
+        commands.push(`${name} ${channel.split(':')[0]}`);
+        return original(channel, ...args);
+      };
+    });
+    const do_memoize = memoizePkg(store, {...makeDefaultOptions(), subscriber: store});
+    const fn = async (id) => { await Promise.delay(20); return id; };
+
+    // Uncontended: no subscription, and a single message for anyone who might be waiting.
+    (await do_memoize(fn, {name: 'fn_lock_free'})(1)).should.equal(1);
+    await Promise.delay(10);
+    commands.should.eql(['publish lock.memos']);
+
+    // Contended, as if from two processes: the waiter subscribes, and is woken by that one message.
+    commands.length = 0;
+    const callers = [1, 2].map(() => memoizePkg(store, {
+      ...makeDefaultOptions(),
+      subscriber: store,
+      lock_fallback_retry_delay: 2000,
+    })(fn, {name: 'fn_lock_held'}));
+    const start = Date.now();
+    (await Promise.all(callers.map((memoized) => memoized(2)))).should.eql([2, 2]);
+    (Date.now() - start).should.be.below(1000);
+    commands.should.eql(['subscribe lock.memos', 'publish lock.memos']);
+  });
+
+  it(`should not release a lock it no longer holds`, async () => {
+    const fn = async (delayTime) => Promise.delay(delayTime);
+    const memoizeA = memoizePkg(client, makeDefaultOptions());
+    const memoizeB = memoizePkg(client, makeDefaultOptions());
+    const memoizedA = memoizeA(fn, {name: 'fn_lock_owner', lock_timeout: 30});
+    const memoizedB = memoizeB(fn, {name: 'fn_lock_owner', lock_timeout: 1000});
+    const lockName = `lock.memos:${key_namespace}:fn_lock_owner:${memoizePkg.hash([100])}`;
+
+    // A's lock expires while it's still running, so B takes it over.
+    const a = memoizedA(100);
+    await Promise.delay(50);
+    const b = memoizedB(100);
+    await a;
+    await Promise.delay(10);
+    // A is done, but B's lock is still there.
+    Number(await exec(client, 'exists', lockName)).should.equal(1);
+    await b;
+  });
+
+  it('should extend the lock while the fn runs with lock_heartbeat', async () => {
+    let callCount = 0;
+    const fn = async () => {
+      callCount++;
+      await Promise.delay(800);
+      return callCount;
+    };
+    const callers = [1, 2].map(() => {
+      const do_memoize = memoizePkg(client, {
+        ...makeDefaultOptions(),
+        lock_retry_delay: 10,
+      });
+      return do_memoize(fn, {name: 'fn_lock_heartbeat', lock_timeout: 200, lock_heartbeat: true});
+    });
+
+    const first = callers[0]();
+    // Well past lock_timeout; without the heartbeat, this would run the fn again.
+    await Promise.delay(400);
+    (await callers[1]()).should.equal(1);
+    (await first).should.equal(1);
+    callCount.should.equal(1);
+  });
+
+  it('should stop waiting on a lock_heartbeat lock after its max', async () => {
+    let callCount = 0;
+    // The first call never settles.
+    const fn = async () => ++callCount === 1 ? new Promise(() => {}) : callCount;
+    const callers = [1, 2].map(() => {
+      const do_memoize = memoizePkg(client, {
+        ...makeDefaultOptions(),
+        lock_retry_delay: 10,
+      });
+      return do_memoize(fn, {name: 'fn_lock_heartbeat_max', lock_timeout: 100, lock_heartbeat: {max: 300}});
+    });
+
+    callers[0]();
+    await Promise.delay(10);
+    const start = Date.now();
+    (await callers[1]()).should.equal(2);
+    // Past lock_timeout, as the heartbeat kept the lock alive for a while, but not for good.
+    (Date.now() - start).should.be.within(150, 1000);
+  });
+
+  it('should coalesce concurrent calls in the same process', async () => {
+    let callCount = 0;
+    let lookups = 0;
+    const fn = async () => {
+      callCount++;
+      await Promise.delay(10);
+    };
+    const metrics = memoizePkg.createMetrics();
+    const do_memoize = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      lock_retry_delay: 1000,
+      on_event: metrics.on_event,
+    });
+    const memoized = do_memoize(fn, {name: 'fn_coalesce'});
+
+    const gunzipOrig = memoizePkg.gunzip;
+    memoizePkg.gunzip = function(value) {
+      lookups++;
+      return gunzipOrig(value);
+    };
+
+    try {
+      const start = Date.now();
+      await Promise.all([ ...Array(10).keys() ].map(() => memoized()));
+      // Nobody had to wait on the lock.
+      (Date.now() - start).should.be.below(1000);
+      callCount.should.equal(1);
+      // The initial lookup, and the retry after taking the lock.
+      lookups.should.equal(2);
+      // One miss, not one miss and nine hits.
+      metrics.snapshot().fn_coalesce.should.containEql({miss: 1, coalesced: 9});
+      metrics.snapshot().fn_coalesce.should.not.have.property('hit');
+    } finally {
+      memoizePkg.gunzip = gunzipOrig;
+    }
+  });
+
   it(`should respect 'this'`, async () => {
     function Obj() { this.x = 1; }
     Obj.prototype.y = async function() {
@@ -242,20 +432,22 @@ describe('redis-memoizer', () => {
 
     const memoized = do_memoize(fn, {name: 'timeout_fn', ttl: 1000});
 
-    // Hack to ensure this takes a while
-    const gzipOrig = memoizePkg.gzip;
-    memoizePkg.gzip = async function(value) {
+    // Hack to ensure lookups take a while
+    const gunzipOrig = memoizePkg.gunzip;
+    memoizePkg.gunzip = async function(value) {
       await Promise.delay(10);
       return value;
     };
 
-    const res = await memoized();
-    res.should.equal(0);
-    const res2 = await memoized();
-    res2.should.equal(1); // bc we didn't end up going to redis
-
-    // Restore
-    memoizePkg.gzip = gzipOrig;
+    try {
+      const res = await memoized();
+      res.should.equal(0);
+      const res2 = await memoized();
+      res2.should.equal(1); // bc we didn't end up going to redis
+    } finally {
+      // Restore
+      memoizePkg.gunzip = gunzipOrig;
+    }
   });
 
   it('should work if complex types are accepted and returned', async () => {
@@ -484,4 +676,903 @@ describe('redis-memoizer', () => {
     const value2 = await memoizedA();
     value2.should.eql('bar0');
   });
+
+  it('should pass deserialize_value Buffers with deserialize_buffers', async function() {
+    let callCount = 0;
+    const fn = async () => { callCount++; return [0xff, 0, 0xfe, 7]; };
+    const received = [];
+    const memoized = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      deserialize_buffers: true,
+      serialize_value: (value) => Buffer.from(value),
+      deserialize_value(value) {
+        received.push(value);
+        return Array.from(value);
+      },
+    })(fn, {name: 'fn_binary'});
+
+    (await memoized()).should.eql([0xff, 0, 0xfe, 7]);
+    await Promise.delay(10);
+    (await memoized()).should.eql([0xff, 0, 0xfe, 7]);
+    callCount.should.equal(1);
+    received[0].should.be.instanceof(Buffer);
+  });
+
+  it('should round-trip rich types with serializers.rich', async function() {
+    let callCount = 0;
+    const value = {
+      map: new Map([['a', 1], [2, new Set(['x', 3])]]),
+      big: global.BigInt('9007199254740993'),
+      buffer: Buffer.from('hello'),
+      re: /a+b/gi,
+      date: new Date(0),
+      isoString: '2018-04-05T00:00:00.000Z',
+      missing: undefined,
+      list: [undefined, NaN, -0, Infinity],
+      $t: 'not a tag',
+    };
+    const fn = async () => { callCount++; return value; };
+    const memoized = memoizePkg(client, {...makeDefaultOptions(), ...memoizePkg.serializers.rich})(fn, {name: 'fn_rich'});
+
+    await memoized();
+    const result = await memoized();
+    callCount.should.equal(1);
+    result.should.not.equal(value);
+    result.should.eql(value);
+    result.map.should.be.instanceof(Map);
+    (typeof result.big).should.equal('bigint');
+    result.big.toString().should.equal('9007199254740993');
+    result.isoString.should.be.a.String();
+    result.should.have.property('missing');
+    Object.is(result.list[2], -0).should.be.true();
+  });
+
+  it('should read entries written by the default serializer with serializers.rich', async function() {
+    let callCount = 0;
+    const fn = async () => { callCount++; return {date: new Date(0)}; };
+    await memoizePkg(client, makeDefaultOptions())(fn, {name: 'fn_rich_compat'})();
+    await Promise.delay(10);
+
+    const memoized = memoizePkg(client, {...makeDefaultOptions(), ...memoizePkg.serializers.rich})(fn, {name: 'fn_rich_compat'});
+    (await memoized()).should.eql({date: new Date(0)});
+    callCount.should.equal(1);
+  });
+
+  it('should round-trip values with serializers.msgpack', async function() {
+    let callCount = 0;
+    const fn = async (size) => {
+      callCount++;
+      return {rows: Array.from({length: size}, (_, i) => [i, i * 1.5, -i]), at: new Date(0), raw: Buffer.from('hi')};
+    };
+    const msgpackOptions = {...makeDefaultOptions(), ...memoizePkg.serializers.msgpack};
+    const memoized = memoizePkg(client, msgpackOptions)(fn, {name: 'fn_msgpack', stale_ttl: 1000});
+
+    for (const size of [3, 1000]) { // small enough to skip compression, and not
+      const expected = await memoized(size);
+      await Promise.delay(10);
+      (await memoized(size)).should.eql(expected);
+      (await memoized(size)).at.should.be.instanceof(Date);
+    }
+    callCount.should.equal(2);
+
+    // The format is detected per entry, so readers don't need to be configured for it.
+    const reader = memoizePkg(client, makeDefaultOptions())(fn, {name: 'fn_msgpack', stale_ttl: 1000});
+    (await reader(3)).rows.should.have.length(3);
+    callCount.should.equal(2);
+  });
+
+  it('should keep separate results per version', async () => {
+    let callCount = 0;
+    const fn = async () => { callCount++; return callCount; };
+    const v1 = memoize(fn, {name: 'fn_version', version: 1});
+    (await v1()).should.equal(1);
+    await Promise.delay(10);
+
+    const v2 = memoize(fn, {name: 'fn_version', version: 2});
+    (await v2()).should.equal(2);
+    await Promise.delay(10);
+    (await v2()).should.equal(2);
+    (await v1()).should.equal(1);
+    callCount.should.equal(2);
+  });
+
+  it('should recompute results rejected by validate', async () => {
+    let callCount = 0;
+    const fn = async () => { callCount++; return callCount === 1 ? 'old shape' : {shape: 'new'}; };
+    const name = 'fn_validate';
+    await memoize(fn, {name})();
+    await Promise.delay(10);
+
+    const validated = memoize(fn, {name, validate: (value) => typeof value === 'object'});
+    (await validated()).should.eql({shape: 'new'});
+    await Promise.delay(10);
+    (await validated()).should.eql({shape: 'new'});
+    callCount.should.equal(2);
+  });
+
+  it('should derive the same key regardless of object key order', async () => {
+    let callCount = 0;
+    const fn = async (opts) => { callCount++; return opts.a + opts.b; };
+    const memoized = memoize(fn, {name: 'fn_key_order'});
+    (await memoized({a: 1, b: 2})).should.equal(3);
+    await Promise.delay(10);
+    (await memoized({b: 2, a: 1})).should.equal(3);
+    callCount.should.equal(1);
+
+    // Maps no longer all collapse to `{}`
+    (memoizePkg.hash([new Map([['a', 1]])]) === memoizePkg.hash([new Map([['a', 2]])])).should.be.false();
+    // Functions and symbols are left out, as JSON would
+    memoizePkg.hash([() => {}, {cb: () => {}, s: Symbol('s')}]).should.equal(memoizePkg.hash([null, {}]));
+    (await memoized({a: 1, b: 2, callback: () => {}})).should.equal(3);
+    callCount.should.equal(1);
+  });
+
+  it('should derive keys with a custom key fn and hash algorithm', async () => {
+    let callCount = 0;
+    const fn = async (user, callback) => { callCount++; return user.id; };
+    const memoized = memoizePkg(client, {...makeDefaultOptions(), hash_algorithm: 'sha256', debug_keys: true})(fn, {
+      name: 'fn_custom_key',
+      key: (user) => user.id,
+    });
+    (await memoized({id: 5, fetchedAt: 1}, () => {})).should.equal(5);
+    await Promise.delay(50);
+    (await memoized({id: 5, fetchedAt: 2}, () => {})).should.equal(5);
+    callCount.should.equal(1);
+
+    const [key] = await exec(client, 'keys', 'memos:*fn_custom_key*');
+    key.toString().should.endWith(crypto.createHash('sha256').update('5').digest('hex'));
+    // debug_keys stores what the key was derived from
+    (await exec(client, 'get', key.toString())).toString().should.startWith(`${memoizePkg.MAGIC.meta}{"args":"5",`);
+  });
+
+  it('should report events to on_event', async () => {
+    const metrics = memoizePkg.createMetrics();
+    const events = [];
+    const on_event = (event) => { events.push(event); metrics.on_event(event); };
+    const fn = async (val) => pkgJSON + val;
+    const memoized = memoizePkg(client, {...makeDefaultOptions(), on_event})(fn, {name: 'fn_events'});
+
+    await memoized(1);
+    await Promise.delay(10);
+    await memoized(1);
+
+    events.map((e) => e.type).should.eql(['miss', 'lock_wait_ms', 'lock_acquired', 'compute_ms', 'write', 'hit']);
+    events.forEach((e) => e.name.should.equal('fn_events'));
+    events[5].source.should.equal('redis');
+
+    const counts = metrics.snapshot().fn_events;
+    counts.should.containEql({hit: 1, miss: 1, lock_acquired: 1, compute_ms: 1, write: 1});
+    counts.raw_bytes.should.be.above(counts.compressed_bytes);
+    metrics.prometheus().should.containEql('redis_memoizer_events_total{name="fn_events",type="hit"} 1\n');
+    metrics.prometheus().should.containEql('redis_memoizer_write_bytes_total{name="fn_events",stage="raw"} ');
+  });
+
+  it('should keep not-found results for negative_ttl, and count them separately', async () => {
+    const metrics = memoizePkg.createMetrics();
+    let callCount = 0;
+    const fn = async (id) => { callCount++; return id === 'missing' ? null : {id}; };
+    const memoized = memoizePkg(client, {...makeDefaultOptions(), on_event: metrics.on_event})(fn, {
+      name: 'fn_negative',
+      ttl: 10000,
+      negative_ttl: 1000,
+    });
+
+    await Promise.all([memoized('missing'), memoized('found')]);
+    await Promise.delay(10);
+    should(await memoized('missing')).be.null();
+    (await memoized('found')).should.eql({id: 'found'});
+    callCount.should.equal(2);
+    (await memoized.ttl('missing')).should.be.within(1, 1000);
+    (await memoized.ttl('found')).should.be.above(1000);
+
+    metrics.snapshot().fn_negative.should.containEql({hit: 2, hit_negative: 1, write: 2, write_negative: 1});
+  });
+
+  it('should spread out expiries with ttl_jitter', async () => {
+    const fn = async (id) => id;
+    const memoized = memoizePkg(client, {...makeDefaultOptions(), ttl_jitter: 0.5})(fn, {
+      name: 'fn_jitter',
+      ttl: 10000,
+      stale_ttl: 1000,
+    });
+    const ids = [1, 2, 3, 4, 5, 6];
+    await Promise.all(ids.map((id) => memoized(id)));
+    await Promise.delay(10);
+    const ttls = await Promise.all(ids.map((id) => memoized.ttl(id)));
+    ttls.forEach((ttl) => ttl.should.be.within(5000 + 1000 - 20, 10000 + 1000));
+    new Set(ttls.map((ttl) => Math.round(ttl / 100))).size.should.be.above(1);
+
+    // The entries go stale at jittered times too, just `stale_ttl` before they expire (give or take the
+    // round trips between setting the soft expiry and reading the PTTL back).
+    const keys = await exec(client, 'keys', 'memos:*fn_jitter:*');
+    await Promise.all(keys.map(async (key) => {
+      const stored = (await exec(client, 'get', key.toString())).toString();
+      const meta = JSON.parse(stored.slice(memoizePkg.MAGIC.meta.length, stored.indexOf('\n')));
+      const ttl = Number(await exec(client, 'pttl', key.toString()));
+      (ttl - (meta.soft_expires - Date.now())).should.be.within(1000 - 100, 1000 + 100);
+    }));
+  });
+
+  it('should recompute entries early with early_recompute', async () => {
+    let callCount = 0;
+    const fn = async () => { callCount++; await Promise.delay(20); return callCount; };
+    // A huge beta makes the early recompute all but certain.
+    const memoized = memoize(fn, {name: 'fn_xfetch', ttl: 5000, early_recompute: {beta: 1e6}});
+
+    (await memoized()).should.equal(1);
+    await Promise.delay(100);
+    // Served from the cache, but recomputed in the background.
+    (await memoized()).should.equal(1);
+    await Promise.delay(200);
+    (await memoized.peek()).should.equal(2);
+    callCount.should.equal(2);
+  });
+
+  it('should bypass redis while the circuit breaker is open', async () => {
+    // Stands in for a client whose connection has gone bad.
+    let broken = false;
+    const flakyClient = new Proxy(client, {
+      get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== 'function' || prop === 'constructor') return value;
+        if (broken) return () => Promise.reject(new Error('Connection lost'));
+        return value.bind(target);
+      },
+    });
+    const states = [];
+    let callCount = 0;
+    const memoized = memoizePkg(flakyClient, {
+      ...makeDefaultOptions(),
+      circuit_breaker: {threshold: 2, cooldown: 100},
+      on_error: (err) => {},
+      on_event: (event) => { if (event.type === 'circuit_breaker') states.push(event.state); },
+    })(async (val) => { callCount++; return val; }, {name: 'fn_breaker'});
+
+    (await memoized(1)).should.equal(1);
+    await Promise.delay(100);
+    broken = true;
+    (await memoized(2)).should.equal(2); // the lookup and the lock both fail
+    states.should.eql(['open']);
+    (await memoized(1)).should.equal(1); // straight to the fn
+    callCount.should.equal(3);
+    // Nothing to report while redis is out of reach.
+    (await memoized.peek(1)).should.equal(memoizePkg.NOT_FOUND);
+    should(await memoized.ttl(1)).be.null();
+
+    broken = false;
+    await Promise.delay(150);
+    (await memoized(1)).should.equal(1); // the probe gets through
+    callCount.should.equal(3);
+    states.should.eql(['open', 'half_open', 'closed']);
+  });
+
+  it('should not count results that can\'t be written as redis failures', async () => {
+    const errors = [];
+    const do_memoize = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      circuit_breaker: {threshold: 2, cooldown: 10000},
+      max_value_bytes: 100,
+      on_error: (err) => errors.push(err),
+    });
+    const circular = do_memoize(async (id) => {
+      const value = {id};
+      value.self = value;
+      return value;
+    }, {name: `${Math.random()}fn_breaker_circular`});
+
+    const oversize = do_memoize(async (id) => crypto.randomBytes(100).toString('hex'), {
+      name: `${Math.random()}fn_breaker_oversize`,
+    });
+
+    await Promise.all([1, 2, 3].map((id) => circular(id)));
+    await Promise.delay(20);
+    errors.should.have.length(3);
+    await Promise.all([1, 2, 3].map((id) => oversize(id)));
+    await Promise.delay(20);
+    errors.should.have.length(6);
+    do_memoize.circuitState().should.equal('closed');
+  });
+
+  it('should work with a cluster client', async () => {
+    if (REDIS_TYP !== 'ioredis') return; // Cluster is an ioredis client
+    // A single-node stand-in for an ioredis Cluster, to exercise the cluster code paths.
+    class Cluster {}
+    const cluster = new Proxy(client, {
+      get(target, prop) {
+        if (prop === 'constructor') return Cluster;
+        if (prop === 'nodes') return () => [client];
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+    });
+    let callCount = 0;
+    const fn = async (id) => { callCount++; return id; };
+    const do_memoize = memoizePkg(cluster, {...makeDefaultOptions(), lookup_batch_window: 0});
+    const memoized = do_memoize(fn, {name: 'fn_cluster', tags: ['cluster']});
+    const memoizedMany = do_memoize.many(async (ids) => { callCount += ids.length; return ids; }, {name: 'fn_cluster_many'});
+
+    await Promise.all([memoized(1), memoized(2), memoizedMany([3, 4])]);
+    await Promise.delay(10);
+    (await Promise.all([memoized(1), memoized(2), memoizedMany([3, 4])])).should.eql([1, 2, [3, 4]]);
+    callCount.should.equal(4);
+
+    (await exec(client, 'keys', '*{fn_cluster}:*')).should.have.length(2);
+    (await do_memoize.invalidateTags(['cluster'])).should.equal(2);
+    (await memoizedMany.invalidateAll()).should.equal(2);
+  });
+
+  it('should work with a custom store', async () => {
+    // Only the required methods; the rest fall back to them.
+    const builtin = memoizePkg.createAdapter(client);
+    const commands = [];
+    const adapter = {};
+    ['get', 'setWithTtl', 'setIfAbsent', 'delete', 'scan'].forEach((name) => {
+      adapter[name] = (...args) => {
+        commands.push(name);
+        return builtin[name](...args);
+      };
+    });
+    let callCount = 0;
+    const do_memoize = memoizePkg(adapter, {...makeDefaultOptions(), lookup_batch_window: 0});
+    const memoized = do_memoize(async (id) => { callCount++; return id; }, {name: 'fn_adapter', tags: ['adapter']});
+    const memoizedMany = do_memoize.many(async (ids) => { callCount += ids.length; return ids; }, {name: 'fn_adapter_many'});
+
+    await Promise.all([memoized(1), memoizedMany([2, 3])]);
+    await Promise.delay(100);
+    (await Promise.all([memoized(1), memoizedMany([2, 3])])).should.eql([1, [2, 3]]);
+    callCount.should.equal(3);
+    commands.should.containDeep(['get', 'setWithTtl', 'setIfAbsent']);
+    (await do_memoize.invalidateTags(['adapter'])).should.equal(1);
+    (await memoizedMany.invalidateAll()).should.equal(2);
+  });
+
+  it('should drive node-redis v4 clients through sendCommand', async () => {
+    // Stands in for a node-redis v4 client: raw commands in, raw replies out.
+    const data = new Map();
+    const sent = [];
+    const v4Client = {
+      isOpen: true,
+      isReady: true,
+      async sendCommand(args, commandOptions) {
+        sent.push({command: args.join(' '), commandOptions});
+        const [command, key, value] = args;
+        if (command === 'GET') return data.has(key) ? Buffer.from(data.get(key)) : null;
+        if (command === 'SET') {
+          if (args.includes('NX') && data.has(key)) return null;
+          data.set(key, String(value));
+          return 'OK';
+        }
+        if (command === 'DEL') return args.slice(1).filter((k) => data.delete(k)).length;
+        // Two pages, to walk the cursor.
+        if (command === 'SCAN') return key === '0' ? ['7', []] : ['0', Array.from(data.keys())];
+        if (command === 'EVAL') {
+          // Only the lock release script: delete KEYS[1] if it holds ARGV[1].
+          const [lockKey, token] = args.slice(3);
+          return data.get(lockKey) === token && data.delete(lockKey) ? 1 : 0;
+        }
+        if (command === 'PUBLISH') return 0;
+        throw new Error(`Unexpected command ${command}`);
+      },
+    };
+    const store = memoizePkg.createAdapter(v4Client);
+
+    (await store.setIfAbsent('a', 'x', 1000)).should.be.true();
+    (await store.setIfAbsent('a', 'y', 1000)).should.be.false();
+    (await store.get('a')).toString().should.equal('x');
+    should(await store.get('b')).be.null();
+    const scanned = [];
+    await store.scan('a*', async (keys) => { scanned.push(...keys); });
+    scanned.should.eql(['a']);
+    (await store.deleteIfEquals('a', 'y')).should.be.false();
+    (await store.deleteIfEquals('a', 'x')).should.be.true();
+
+    sent.map(({command}) => command.replace(/EVAL [\s\S]+? 1 /, 'EVAL <script> 1 ')).should.eql([
+      'SET a x PX 1000 NX',
+      'SET a y PX 1000 NX',
+      'GET a',
+      'GET b',
+      'SCAN 0 MATCH a* COUNT 1000',
+      'SCAN 7 MATCH a* COUNT 1000',
+      'EVAL <script> 1 a y',
+      'EVAL <script> 1 a x',
+    ]);
+    // Values come back as Buffers, so compressed entries survive.
+    sent[2].commandOptions.should.eql({returnBuffers: true});
+
+    // And the memoizer on top of it.
+    let callCount = 0;
+    const memoized = memoizePkg(v4Client, makeDefaultOptions())(async (id) => { callCount++; return {id}; }, {name: 'fn_v4'});
+    (await memoized(1)).should.eql({id: 1});
+    await Promise.delay(10);
+    (await memoized(1)).should.eql({id: 1});
+    callCount.should.equal(1);
+    // Only the result is left; the lock was released.
+    Array.from(data.keys()).should.have.length(1);
+  });
+
+  it('should fall back from scripts for clients that refuse them', async () => {
+    // Stands in for fakeredis, or a server with EVAL disabled.
+    const builtin = memoizePkg.createAdapter(client);
+    let evals = 0;
+    const store = {
+      ...['get', 'setWithTtl', 'setIfAbsent', 'delete', 'scan'].reduce((methods, name) => {
+        methods[name] = builtin[name];
+        return methods;
+      }, {}),
+      eval: async () => { evals++; throw new Error("ERR unknown command 'eval'"); },
+    };
+    let callCount = 0;
+    const do_memoize = memoizePkg(store, makeDefaultOptions());
+    const memoized = do_memoize(async (id) => { callCount++; return id; }, {name: 'fn_no_scripts', tags: ['no_scripts']});
+
+    (await memoized(1)).should.equal(1);
+    await Promise.delay(300);
+    // The lock was released, and the result tagged, all the same.
+    (await exec(client, 'keys', `lock.*fn_no_scripts*`)).should.have.length(0);
+    (await do_memoize.invalidateTags(['no_scripts'])).should.equal(1);
+    (await memoized(1)).should.equal(1);
+    callCount.should.equal(2);
+    // Only asked once.
+    evals.should.equal(1);
+  });
+
+  it('should memoize with the memory store', async () => {
+    const store = memoizePkg.stores.memory();
+    let callCount = 0;
+    const do_memoize = memoizePkg(store, {...makeDefaultOptions(), subscriber: store});
+    const memoized = do_memoize(async (id) => { callCount++; await Promise.delay(20); return {id}; }, {name: 'fn_memory', tags: ['memory']});
+
+    (await Promise.all([memoized(1), memoized(1), memoized(2)])).should.eql([{id: 1}, {id: 1}, {id: 2}]);
+    (await memoized(1)).should.eql({id: 1});
+    callCount.should.equal(2);
+    (await do_memoize.invalidateTags(['memory'])).should.equal(2);
+    (await memoized(1)).should.eql({id: 1});
+    callCount.should.equal(3);
+    (await do_memoize.clear()).should.equal(1);
+  });
+
+  it('should memoize with the filesystem store', async () => {
+    const dir = path.join(os.tmpdir(), `redis-memoizer-test-${key_namespace}`);
+    let callCount = 0;
+    const makeMemoized = () => memoizePkg(memoizePkg.stores.filesystem({dir}), makeDefaultOptions())(
+      async (id) => { callCount++; return id; }, {name: 'fn_filesystem', ttl: 100});
+    const memoized = makeMemoized();
+
+    (await memoized('a')).should.equal('a');
+    // Another memoizer on the same directory, as if from another process.
+    (await makeMemoized()('a')).should.equal('a');
+    callCount.should.equal(1);
+    await Promise.delay(150);
+    (await memoized('a')).should.equal('a');
+    callCount.should.equal(2);
+    await Promise.delay(10);
+    (await memoized.invalidateAll()).should.equal(1);
+    fs.rmdirSync(dir);
+  });
+
+  it('should only memoize results passing cache_when, and skip calls matching bypass', async () => {
+    let callCount = 0;
+    const fn = async (ids, opts) => { callCount++; return ids; };
+    const memoized = memoize(fn, {
+      name: 'fn_cache_when',
+      cache_when: (result) => result.length > 0,
+      bypass: ([ids, opts]) => Boolean(opts && opts.fresh),
+    });
+
+    (await memoized([])).should.eql([]);
+    (await memoized([])).should.eql([]);
+    callCount.should.equal(2);
+    (await memoized.peek([])).should.equal(memoizePkg.NOT_FOUND);
+
+    (await memoized([1])).should.eql([1]);
+    (await memoized([1])).should.eql([1]);
+    callCount.should.equal(3);
+    (await memoized([1], {fresh: true})).should.eql([1]);
+    callCount.should.equal(4);
+  });
+
+  it('should skip or chunk values over max_value_bytes', async () => {
+    const big = crypto.randomBytes(3000).toString('hex');
+    let callCount = 0;
+    const fn = async (arg) => { callCount++; return big + arg; };
+
+    const errors = [];
+    const skipping = memoizePkg(client, {...makeDefaultOptions(), max_value_bytes: 1000, on_error: (err) => errors.push(err)});
+    const memoizedSkip = skipping(fn, {name: 'fn_oversize_skip'});
+    (await memoizedSkip(1)).should.equal(big + 1);
+    await Promise.delay(10);
+    (await memoizedSkip.peek(1)).should.equal(memoizePkg.NOT_FOUND);
+    errors.should.have.length(1);
+    errors[0].name.should.equal('ValueTooLargeError');
+
+    const chunking = memoizePkg(client, {...makeDefaultOptions(), max_value_bytes: 1000, oversize_policy: 'chunk'});
+    const memoizedChunk = chunking(fn, {name: 'fn_oversize_chunk', tags: ['oversize']});
+    const memoizedMany = chunking.many(async (ids) => {
+      callCount += ids.length;
+      return ids.map((id) => big + id);
+    }, {name: 'fn_oversize_chunk_many'});
+    (await memoizedChunk(1)).should.equal(big + 1);
+    await memoizedMany([2, 3]);
+    await Promise.delay(10);
+    (await memoizedChunk(1)).should.equal(big + 1);
+    (await memoizedMany([2, 3])).should.eql([big + 2, big + 3]);
+    callCount.should.equal(4);
+    const chunks = await exec(client, 'keys', '*fn_oversize_chunk:*:chunk:*');
+    chunks.length.should.be.above(1);
+
+    // Replacing or invalidating a chunked value takes its chunks along.
+    await memoizedChunk.set([1], big + 'x');
+    (await memoizedChunk.peek(1)).should.equal(big + 'x');
+    const newChunks = await exec(client, 'keys', '*fn_oversize_chunk:*:chunk:*');
+    newChunks.should.have.length(chunks.length);
+    newChunks.map(String).filter((chunk) => chunks.map(String).includes(chunk)).should.be.empty();
+    (await memoizedChunk.invalidate(1)).should.equal(1);
+    (await exec(client, 'keys', '*fn_oversize_chunk:*:chunk:*')).should.have.length(0);
+    await memoizedChunk.set([1], big + 1);
+    (await chunking.invalidateTags(['oversize'])).should.equal(1);
+    (await exec(client, 'keys', 'memos:*fn_oversize_chunk:*')).should.have.length(0);
+  });
+
+  it('should peek at, set and report the ttl of results', async () => {
+    let callCount = 0;
+    const fn = async (arg) => { callCount++; return arg; };
+    const memoized = memoize(fn, {name: 'fn_peek', ttl: 1000});
+
+    (await memoized.peek('x')).should.equal(memoizePkg.NOT_FOUND);
+    should(await memoized.ttl('x')).be.null();
+    (await memoized.set(['x'], 'primed', {ttl: 500})).should.be.true();
+    (await memoized.peek('x')).should.equal('primed');
+    (await memoized('x')).should.equal('primed');
+    (await memoized.ttl('x')).should.be.within(1, 500);
+    callCount.should.equal(0);
+
+    (await memoized('y')).should.equal('y');
+    await Promise.delay(10);
+    (await memoized.peek('y')).should.equal('y');
+    (await memoized.ttl('y')).should.be.within(500, 1000);
+    callCount.should.equal(1);
+
+    // No result can pass for NOT_FOUND, not even the string it used to be.
+    (await memoized('_$$_empty')).should.equal('_$$_empty');
+    await Promise.delay(10);
+    (await memoized.peek('_$$_empty')).should.equal('_$$_empty');
+    (typeof memoizePkg.NOT_FOUND).should.equal('symbol');
+
+    (await memoized.set(['z'], 'fleeting', {ttl: 0})).should.be.false();
+    (await memoized.peek('z')).should.equal(memoizePkg.NOT_FOUND);
+  });
+
+  it('should warm the cache for lists of args', async () => {
+    let callCount = 0;
+    const double = memoize(async (n) => { callCount++; return n * 2; }, {name: 'fn_warm_double'});
+    const fail = memoize(async (n) => { throw new Error(`nope ${n}`); }, {name: 'fn_warm_fail'});
+    await double(1);
+    await Promise.delay(10);
+
+    const report = await double.warm([[1], [2], [3]], {concurrency: 2});
+    report.succeeded.map((entry) => entry.args[0]).sort().should.eql([2, 3]);
+    report.skipped.should.eql([{args: [1]}]);
+    (await double.peek(3)).should.equal(6);
+    callCount.should.equal(3);
+
+    const combined = await originalMemoize.warm([{fn: double, args: [[1], [4]]}, {fn: fail, args: [[5]]}]);
+    combined.succeeded.map((entry) => entry.args).should.eql([[4]]);
+    combined.skipped.should.have.length(1);
+    combined.failed.should.have.length(1);
+    combined.failed[0].args.should.eql([5]);
+    combined.failed[0].error.message.should.equal('nope 5');
+    combined.failed[0].name.should.endWith('fn_warm_fail');
+    combined.not_stored.should.eql([]);
+  });
+
+  it('should report warmed results that weren\'t stored', async () => {
+    const picky = memoize(async (n) => n, {name: 'fn_warm_picky', cache_when: (n) => n > 1});
+    const fleeting = memoize(async (n) => n, {name: 'fn_warm_fleeting', ttl: 0});
+    const many = originalMemoize.many(async (ns) => ns, {name: 'fn_warm_many'});
+
+    const report = await picky.warm([[1], [2]]);
+    report.succeeded.should.eql([{args: [2]}]);
+    report.not_stored.should.eql([{args: [1]}]);
+    (await fleeting.warm([[1]])).not_stored.should.eql([{args: [1]}]);
+
+    const combined = await originalMemoize.warm([
+      {fn: many, args: [[[1]], [[2]]]},
+      {fn: null},
+      {fn: picky},
+      {fn: picky, args: [[3]]},
+    ]);
+    combined.succeeded.map((entry) => entry.args).should.eql([[3]]);
+    combined.failed.map((entry) => entry.args).should.eql([[[1]], [[2]], undefined, undefined]);
+    combined.failed[0].error.should.be.instanceOf(TypeError);
+    should(combined.failed[0].name).be.null();
+  });
+
+  it('should invalidate a single set of args', async () => {
+    let callCount = 0;
+    const fn = async (arg) => { callCount++; return arg; };
+    const memoized = memoize(fn, {name: 'fn_invalidate'});
+
+    (await memoized('x')).should.equal('x');
+    (await memoized('y')).should.equal('y');
+    callCount.should.equal(2);
+
+    (await memoized.invalidate('x')).should.equal(1);
+    (await memoized('x')).should.equal('x');
+    (await memoized('y')).should.equal('y');
+    callCount.should.equal(3);
+  });
+
+  it('should invalidate all results for a function', async () => {
+    if (REDIS_TYP === 'fakeredis') return; // no UNLINK
+    let callCount = 0;
+    const fn = async (arg) => { callCount++; return arg; };
+    const memoized = memoize(fn, {name: 'fn_invalidate_all'});
+    const other = memoize(fn, {name: 'fn_invalidate_other'});
+
+    await memoized('x');
+    await memoized('y');
+    await other('x');
+    callCount.should.equal(3);
+
+    (await memoized.invalidateAll()).should.equal(2);
+    await memoized('x');
+    await memoized('y');
+    await other('x');
+    callCount.should.equal(5);
+  });
+
+  it('should clear all results in the namespace', async () => {
+    if (REDIS_TYP === 'fakeredis') return; // no UNLINK
+    let callCount = 0;
+    const fn = async (arg) => { callCount++; return arg; };
+    const memoized = memoize(fn, {name: 'fn_clear'});
+    const other = memoize(fn, {name: 'fn_clear_other'});
+
+    await memoized('x');
+    await other('x');
+    callCount.should.equal(2);
+
+    await originalMemoize.clear();
+    await memoized('x');
+    await other('x');
+    callCount.should.equal(4);
+  });
+
+  it('should serve stale values while refreshing in the background', async () => {
+    const functionDelayTime = 200;
+    let callCount = 0;
+    const fn = async () => {
+      await Promise.delay(functionDelayTime);
+      return ++callCount;
+    };
+    const memoized = memoize(fn, {name: 'fn_stale', ttl: 300, stale_ttl: 5000});
+
+    (await memoized()).should.equal(1);
+    (await memoized()).should.equal(1);
+
+    // Past the soft TTL: the stale value comes back right away and a refresh starts.
+    await Promise.delay(310);
+    const start = Date.now();
+    (await memoized()).should.equal(1);
+    (Date.now() - start < functionDelayTime).should.be.true;
+    // Only one refresh runs, no matter how many callers see the stale value.
+    (await memoized()).should.equal(1);
+
+    await Promise.delay(functionDelayTime + 100);
+    (await memoized()).should.equal(2);
+    callCount.should.equal(2);
+  });
+
+  it('should serve repeat calls from the L1', async () => {
+    let callCount = 0;
+    const fn = async (arg) => { callCount++; return {arg}; };
+    const do_memoize = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      l1: {max: 10, ttl: 1000},
+    });
+    const memoized = do_memoize(fn, {name: 'fn_l1'});
+
+    (await memoized('x')).should.eql({arg: 'x'});
+    await delKeys(client, `memos:${key_namespace}:*`);
+    // Still there, even though redis no longer has it.
+    (await memoized('x')).should.eql({arg: 'x'});
+    callCount.should.equal(1);
+
+    await memoized.invalidate('x');
+    (await memoized('x')).should.eql({arg: 'x'});
+    callCount.should.equal(2);
+
+    // Without either, the L1 would silently never fill, or never stop growing.
+    (() => memoizePkg(client, {...makeDefaultOptions(), l1: {max: 10}})).should.throw(/`l1` needs both/);
+    (() => memoizePkg(client, {...makeDefaultOptions(), l1: {ttl: 1000}})).should.throw(/`l1` needs both/);
+  });
+
+  it('should not keep results in the L1 longer than their ttl', async () => {
+    let callCount = 0;
+    const fn = async () => ++callCount;
+    const do_memoize = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      l1: {max: 10, ttl: 1000},
+    });
+    const memoized = do_memoize(fn, {name: 'fn_l1_ttl', ttl: () => 50});
+
+    (await memoized()).should.equal(1);
+    (await memoized()).should.equal(1);
+    await Promise.delay(60);
+    // Only the L1 could still have it.
+    await delKeys(client, `memos:${key_namespace}:*`);
+    (await memoized()).should.equal(2);
+
+    // Nor longer than they have left in redis, when they're read from there.
+    const other = memoizePkg(client, makeDefaultOptions())(fn, {name: 'fn_l1_ttl_left', ttl: 100});
+    const memoizedLeft = do_memoize(fn, {name: 'fn_l1_ttl_left', ttl: 100});
+    (await other()).should.equal(3);
+    await Promise.delay(70);
+    (await memoizedLeft()).should.equal(3);
+    await Promise.delay(50);
+    (await other()).should.equal(4);
+    (await memoizedLeft()).should.equal(4);
+  });
+
+  it('should not refill the L1 with results being invalidated', async () => {
+    const store = memoizePkg.stores.memory();
+    // A slow SCAN gives a call the time to read the old result back while it's being deleted.
+    const scan = store.scan;
+    store.scan = async (pattern, onKeys) => { await Promise.delay(30); return scan(pattern, onKeys); };
+    let callCount = 0;
+    const do_memoize = memoizePkg(store, {...makeDefaultOptions(), l1: {max: 10, ttl: 1000}});
+    const memoized = do_memoize(async () => ++callCount, {name: 'fn_l1_invalidate'});
+
+    (await memoized()).should.equal(1);
+    const invalidating = memoized.invalidateAll();
+    await Promise.delay(10);
+    (await memoized()).should.equal(1);
+    await invalidating;
+    (await memoized()).should.equal(2);
+  });
+
+  it('should only drop L1 results replaced with set once the replacement is stored', async () => {
+    const store = memoizePkg.stores.memory();
+    // A slow write gives another process the time to read the old result back while it's being replaced.
+    const setWithTtl = store.setWithTtl;
+    store.setWithTtl = async (...args) => { await Promise.delay(30); return setWithTtl(...args); };
+    const makeMemoized = () => memoizePkg(store, {...makeDefaultOptions(), l1: {max: 10, ttl: 1000}, subscriber: store})(
+      async (arg) => 'old', {name: 'fn_l1_set'});
+    const memoized = makeMemoized();
+    const otherMemoized = makeMemoized();
+
+    (await otherMemoized('x')).should.equal('old');
+    await Promise.delay(50);
+    const setting = memoized.set(['x'], 'new');
+    await Promise.delay(10);
+    (await otherMemoized('x')).should.equal('old');
+    (await setting).should.be.true();
+    await Promise.delay(10);
+    (await otherMemoized('x')).should.equal('new');
+  });
+
+  it('should drop L1 results invalidated by another process', async () => {
+    let callCount = 0;
+    const fn = async () => ++callCount;
+    const subscriber = Redis.createClient(PORT, 'localhost', {return_buffers: true});
+    const do_memoize = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      l1: {max: 10, ttl: 1000},
+      subscriber,
+    });
+    const other_memoize = memoizePkg(client, makeDefaultOptions());
+    const memoized = do_memoize(fn, {name: 'fn_l1_pubsub'});
+    const otherMemoized = other_memoize(fn, {name: 'fn_l1_pubsub'});
+
+    try {
+      (await memoized()).should.equal(1);
+      await otherMemoized.invalidate();
+      await Promise.delay(20);
+      (await memoized()).should.equal(2);
+    } finally {
+      subscriber.end(true);
+    }
+  });
+
+  it('should memoize each id separately with memoize.many', async () => {
+    const calls = [];
+    const getUsers = async (ids) => {
+      calls.push(ids);
+      return ids.map((id) => ({id}));
+    };
+    const memoized = originalMemoize.many(getUsers, {name: `${Math.random()}getUsers`});
+
+    (await memoized([1, 2])).should.eql([{id: 1}, {id: 2}]);
+    await Promise.delay(10);
+    (await memoized([2, 3, 1, 3])).should.eql([{id: 2}, {id: 3}, {id: 1}, {id: 3}]);
+    calls.should.eql([[1, 2], [3]]);
+
+    await memoized.invalidate(1);
+    (await memoized([1, 2])).should.eql([{id: 1}, {id: 2}]);
+    calls.should.eql([[1, 2], [3], [1]]);
+  });
+
+  it('should accept maps and custom keys with memoize.many', async () => {
+    let callCount = 0;
+    const getUsers = async (users) => {
+      callCount++;
+      return new Map(users.map((user) => [user, user.id * 2]));
+    };
+    const memoized = originalMemoize.many(getUsers, {
+      name: `${Math.random()}getUsersMap`,
+      keyFor: (user) => user.id,
+    });
+
+    (await memoized([{id: 1}, {id: 2}])).should.eql([2, 4]);
+    await Promise.delay(10);
+    // Different objects, same keys.
+    (await memoized([{id: 2}, {id: 1}])).should.eql([4, 2]);
+    callCount.should.equal(1);
+  });
+
+  it('should batch lookups issued in the same tick', async () => {
+    const do_memoize = memoizePkg(client, {
+      ...makeDefaultOptions(),
+      lookup_batch_window: 0,
+    });
+    const memoizedA = do_memoize(async (arg) => `a${arg}`, {name: `${Math.random()}fn_batch_a`});
+    const memoizedB = do_memoize(async (arg) => `b${arg}`, {name: `${Math.random()}fn_batch_b`});
+    await memoizedA(1);
+    await memoizedA(2);
+    await memoizedB(1);
+    await Promise.delay(10);
+
+    const method = REDIS_TYP === 'ioredis' ? 'mgetBuffer' : 'mgetAsync';
+    const mgetOrig = client[method];
+    const batches = [];
+    client[method] = function(keys) {
+      batches.push(keys.length);
+      return mgetOrig.apply(this, arguments);
+    };
+
+    try {
+      const results = await Promise.all([memoizedA(1), memoizedB(1), memoizedA(2)]);
+      results.should.eql(['a1', 'b1', 'a2']);
+      batches.should.eql([3]);
+    } finally {
+      client[method] = mgetOrig;
+    }
+  });
+
+  it('should invalidate results by tag', async () => {
+    let callCount = 0;
+    const fn = async (id) => { callCount++; return id; };
+    const getProfile = memoize(fn, {name: 'fn_tags_profile', tags: (args) => [`user:${args[0]}`]});
+    const getFriends = memoize(fn, {name: 'fn_tags_friends', tags: (args, result) => [`user:${result}`, 'friends']});
+    const getStatic = memoize(fn, {name: 'fn_tags_static', tags: ['static']});
+
+    await getProfile(42);
+    await getProfile(43);
+    await getFriends(42);
+    await getStatic(42);
+    callCount.should.equal(4);
+    await Promise.delay(10);
+
+    (await originalMemoize.invalidateTags(['user:42'])).should.equal(2);
+    await getProfile(42);
+    await getProfile(43);
+    await getFriends(42);
+    await getStatic(42);
+    callCount.should.equal(6);
+
+    // Keys that have expired are dropped from the tag as others are added.
+    const getBrief = memoize(fn, {name: 'fn_tags_brief', ttl: 500, tags: ['brief']});
+    const tagKey = `memos:${key_namespace}:$tags:brief`;
+    const tagSize = async () => REDIS_TYP === 'fakeredis' ?
+      Object.keys(JSON.parse(await exec(client, 'get', tagKey)).keys).length :
+      Number(await exec(client, 'zcard', tagKey));
+    // One lasting key keeps the tag itself around.
+    await getBrief.set([0], 0, {ttl: 10000});
+    for (const id of [1, 2, 3]) await getBrief.set([id], id);
+    (await tagSize()).should.equal(4);
+    await Promise.delay(550);
+    await getBrief.set([4], 4);
+    (await tagSize()).should.equal(2);
+    (await originalMemoize.invalidateTags(['brief'])).should.equal(2);
+  });
 });